@@ -0,0 +1,85 @@
+'use strict';
+
+module.exports = [
+  {
+    type: 'confirm',
+    name: 'lock.recover',
+    message: 'remove the stale wpkg database locks and retry once',
+    default: false,
+  },
+  {
+    type: 'input',
+    name: 'lock.file',
+    message: 'wpkg database lock file (relative to the target root)',
+    default: 'var/lib/wpkg/core/wpkg.lck',
+  },
+  {
+    type: 'input',
+    name: 'lock.staleAge',
+    message:
+      'age in seconds of a lock without owner PID to consider it stale (0 to disable)',
+    default: 0,
+  },
+  {
+    type: 'input',
+    name: 'signature.privateKey',
+    message:
+      'private key (PEM) for signing the published packages and the indexes (empty to disable)',
+    default: '',
+  },
+  {
+    type: 'input',
+    name: 'signature.publicKeys',
+    message: 'directory of the trusted public keys (PEM)',
+    default: './etc/wpkg/keys/',
+  },
+  {
+    type: 'input',
+    name: 'signature.repositories',
+    message: "repositories which require signatures ('*' for all)",
+    default: [],
+  },
+  {
+    type: 'input',
+    name: 'remote.repositories',
+    message:
+      'http(s) servers of the remote repositories (after the local ones)',
+    default: [],
+  },
+  {
+    type: 'input',
+    name: 'cache.path',
+    message: 'location of the download cache (packages and parsed indexes)',
+    default: './var/wpkg@cache/',
+  },
+  {
+    type: 'input',
+    name: 'cache.maxSize',
+    message: 'maximum size of the download cache in MB (0 for unlimited)',
+    default: 2048,
+  },
+  {
+    type: 'confirm',
+    name: 'cache.results',
+    message: 'keep the parsed indexes and packages in the cache for next runs',
+    default: true,
+  },
+  {
+    type: 'confirm',
+    name: 'queue.fileLock',
+    message: 'serialize the operations on a target root between processes',
+    default: false,
+  },
+  {
+    type: 'confirm',
+    name: 'progress.events',
+    message: 'send the progress of install, upgrade and build (wpkg.progress)',
+    default: false,
+  },
+  {
+    type: 'confirm',
+    name: 'journal.enabled',
+    message: 'append the operations on a target root to its journal',
+    default: true,
+  },
+];
@@ -0,0 +1,187 @@
+'use strict';
+
+const {spawnSync} = require('child_process');
+const {AsyncLocalStorage} = require('async_hooks');
+const {isOptions} = require('./options.js');
+
+/* Abort settings of the running operation (see wrapOperations) */
+const operations = new AsyncLocalStorage();
+
+/**
+ * Kill a process and all its children.
+ *
+ * On POSIX the process must be spawned detached (it's the leader of its
+ * own group) in order to kill the whole group.
+ *
+ * @param {number} pid - PID of the process.
+ */
+function killTree(pid) {
+  if (!pid || pid < 0) {
+    return;
+  }
+
+  if (process.platform === 'win32') {
+    spawnSync('taskkill', ['/pid', `${pid}`, '/T', '/F']);
+    return;
+  }
+
+  try {
+    process.kill(-pid, 'SIGKILL');
+  } catch {
+    try {
+      process.kill(pid, 'SIGKILL');
+    } catch {
+      /* Already terminated */
+    }
+  }
+}
+
+/**
+ * Check if the operations can be cancelled.
+ *
+ * @param {object} [abort] - Abort signal (signal) and timeout in ms (timeout).
+ * @returns {boolean} true with a signal or a timeout.
+ */
+function isAbortable(abort) {
+  return !!(abort?.signal || abort?.timeout);
+}
+
+/**
+ * Reason of the cancellation of an aborted signal.
+ *
+ * @param {AbortSignal} signal - Aborted signal.
+ * @returns {string} timeout or aborted.
+ */
+function reasonOf(signal) {
+  return signal?.reason?.name === 'TimeoutError' ? 'timeout' : 'aborted';
+}
+
+/**
+ * Merge the abort settings of an operation in one signal.
+ *
+ * The timeout becomes a deadline for the whole operation (all its commands
+ * and its downloads). The first timeout wins (the one of the call before
+ * the one of the instance).
+ *
+ * @param {object[]} aborts - Abort signal (signal) and timeout in ms (timeout).
+ * @returns {object} the abort settings of the operation ({signal}).
+ */
+function startOperation(aborts) {
+  const signals = aborts.map((abort) => abort?.signal).filter((s) => s);
+  const timeout = aborts.map((abort) => abort?.timeout).find((t) => t);
+  if (timeout) {
+    signals.push(AbortSignal.timeout(timeout));
+  }
+
+  if (signals.length < 2) {
+    return {signal: signals[0]};
+  }
+  return {signal: AbortSignal.any(signals)};
+}
+
+/**
+ * Abort settings of the running operation.
+ *
+ * @returns {object} the settings ({signal}) or undefined outside of an operation.
+ */
+function currentOperation() {
+  return operations.getStore();
+}
+
+/* Extract the signal and the timeout of the options object of a call */
+function extractAbort(args) {
+  const it = args.findIndex(
+    (arg) => isOptions(arg) && ('signal' in arg || 'timeout' in arg)
+  );
+  if (it === -1) {
+    return {args, abort: null};
+  }
+
+  const {signal, timeout, ...options} = args[it];
+  args = args.slice();
+  args[it] = options;
+  return {args, abort: {signal, timeout}};
+}
+
+/**
+ * Run the methods of an object as cancellable operations.
+ *
+ * Each call is an operation with one deadline and one signal, which are
+ * the ones of its options object ({signal, timeout}, when provided) and
+ * the ones of the instance. The methods called while an operation is
+ * running are part of it. The callback of an operation is called outside
+ * of it, then an operation started there has its own deadline.
+ *
+ * @param {object} object - Instance where the methods are replaced.
+ * @param {string[]} names - Method names.
+ * @param {object} [abort] - Abort signal (signal) and timeout in ms (timeout) of the instance.
+ */
+function wrapOperations(object, names, abort) {
+  for (const name of names) {
+    const method = object[name];
+
+    object[name] = function (...callArgs) {
+      const {args, abort: callAbort} = extractAbort(callArgs);
+      if (operations.getStore()) {
+        return method.apply(object, args);
+      }
+
+      const last = args.length - 1;
+      if (typeof args[last] === 'function') {
+        const callback = args[last];
+        args[last] = (...results) =>
+          operations.exit(() => callback(...results));
+      }
+
+      return operations.run(startOperation([callAbort, abort]), () =>
+        method.apply(object, args)
+      );
+    };
+  }
+}
+
+/**
+ * Kill a spawned process when the signal is aborted or when the timeout
+ * is reached.
+ *
+ * @param {object} [abort] - Abort signal (signal) and timeout in ms (timeout).
+ * @param {Function} getpid - Returns the PID of the spawned process.
+ * @returns {object} the reason of the cancellation (reason) and dispose().
+ */
+function watchProcess(abort, getpid) {
+  const watcher = {
+    reason: null,
+    dispose: () => {},
+  };
+  if (!isAbortable(abort)) {
+    return watcher;
+  }
+
+  const cancel = (reason) => {
+    if (!watcher.reason) {
+      watcher.reason = reason;
+      killTree(getpid());
+    }
+  };
+  const onAbort = () => cancel(reasonOf(abort.signal));
+
+  abort.signal?.addEventListener('abort', onAbort, {once: true});
+  const timer = abort.timeout
+    ? setTimeout(() => cancel('timeout'), abort.timeout)
+    : null;
+
+  watcher.dispose = () => {
+    abort.signal?.removeEventListener('abort', onAbort);
+    clearTimeout(timer);
+  };
+  return watcher;
+}
+
+module.exports = {
+  killTree,
+  isAbortable,
+  reasonOf,
+  currentOperation,
+  wrapOperations,
+  watchProcess,
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {parseControl} = require('./control.js');
+
+/**
+ * Read the packages known by the wpkg database of a target root.
+ *
+ * Each package has its own directory in the admindir with the control
+ * file and the wpkg-status file (X-Status, X-Selection, ...).
+ *
+ * @param {string} root - Target root (with the architecture).
+ * @returns {object} the packages by name ({name, version, status, selection, control}).
+ */
+function readDatabase(root) {
+  const admindir = path.join(root, 'var/lib/wpkg');
+  const packages = {};
+
+  if (!fs.existsSync(admindir)) {
+    return packages;
+  }
+
+  for (const name of fs.readdirSync(admindir)) {
+    const controlFile = path.join(admindir, name, 'control');
+    const statusFile = path.join(admindir, name, 'wpkg-status');
+    if (!fs.existsSync(controlFile)) {
+      continue;
+    }
+
+    const control = parseControl(fs.readFileSync(controlFile, 'utf8'));
+    const status = fs.existsSync(statusFile)
+      ? parseControl(fs.readFileSync(statusFile, 'utf8'))
+      : {};
+
+    packages[name] = {
+      name,
+      version: control.Version,
+      status: status['X-Status'] || 'installed',
+      selection: status['X-Selection'] || 'normal',
+      control,
+    };
+  }
+
+  return packages;
+}
+
+/**
+ * Read the packages installed in a target root.
+ *
+ * @param {string} root - Target root (with the architecture).
+ * @returns {object} the installed packages by name (see readDatabase).
+ */
+function readInstalled(root) {
+  const packages = readDatabase(root);
+
+  for (const [name, {status}] of Object.entries(packages)) {
+    if (status === 'not-installed' || status === 'config-files') {
+      delete packages[name];
+    }
+  }
+
+  return packages;
+}
+
+module.exports = {
+  readDatabase,
+  readInstalled,
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+const zlib = require('zlib');
+
+/**
+ * Decompress a buffer accordingly to the extension of its file name.
+ *
+ * Only the compressors used by wpkg and dpkg for the indexes and the
+ * packages are supported (gzip, xz and zstd). Uncompressed buffers are
+ * returned as is.
+ *
+ * @param {Buffer} buffer - Compressed data.
+ * @param {string} fileName - Name of the file (used for the extension).
+ * @returns {Buffer} the uncompressed data.
+ */
+function decompress(buffer, fileName) {
+  if (/\.gz$/.test(fileName)) {
+    return zlib.gunzipSync(buffer);
+  }
+
+  if (/\.zst$/.test(fileName)) {
+    if (zlib.zstdDecompressSync) {
+      return zlib.zstdDecompressSync(buffer);
+    }
+    const {decompress} = require('fzstd');
+    return Buffer.from(decompress(buffer));
+  }
+
+  if (/\.xz$/.test(fileName)) {
+    const {xz} = require('@napi-rs/lzma');
+    return xz.decompressSync(buffer);
+  }
+
+  if (/\.tar$/.test(fileName)) {
+    return buffer;
+  }
+
+  throw new Error(`unsupported compression for ${fileName}`);
+}
+
+function readString(buffer, offset, length) {
+  const field = buffer.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? field.length : end);
+}
+
+function readNumber(buffer, offset, length) {
+  /* Base-256 encoding (GNU) for the very large values */
+  if (buffer[offset] & 0x80) {
+    let value = buffer[offset] & 0x7f;
+    for (let i = 1; i < length; ++i) {
+      value = value * 256 + buffer[offset + i];
+    }
+    return value;
+  }
+
+  const value = readString(buffer, offset, length).trim();
+  return value ? parseInt(value, 8) : 0;
+}
+
+function parsePax(data) {
+  const pax = {};
+  let offset = 0;
+
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) {
+      break;
+    }
+    const length = parseInt(data.toString('utf8', offset, space), 10);
+    if (!length) {
+      break;
+    }
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const it = record.indexOf('=');
+    pax[record.substring(0, it)] = record.substring(it + 1);
+    offset += length;
+  }
+
+  return pax;
+}
+
+/**
+ * Read all regular files of a tar archive (ustar, GNU and pax).
+ *
+ * @param {Buffer} buffer - Uncompressed tar archive.
+ * @returns {object[]} list of entries ({name, data}).
+ */
+function readTar(buffer) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+
+    /* End of archive (zero block) */
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+
+    let name = readString(header, 0, 100);
+    const size = readNumber(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const magic = readString(header, 257, 6);
+    if (magic.startsWith('ustar')) {
+      const prefix = readString(header, 345, 155);
+      if (prefix) {
+        name = `${prefix}/${name}`;
+      }
+    }
+
+    const dataOffset = offset + 512;
+    const data = buffer.subarray(dataOffset, dataOffset + size);
+    offset = dataOffset + Math.ceil(size / 512) * 512;
+
+    switch (type) {
+      case 'L':
+        /* GNU long name for the next entry */
+        longName = readString(data, 0, data.length);
+        continue;
+
+      case 'x':
+        /* pax extended header for the next entry */
+        longName = parsePax(data).path || longName;
+        continue;
+
+      case 'g':
+        /* pax global header */
+        continue;
+
+      case '0':
+      case '7':
+        entries.push({
+          name: (longName || name).replace(/^\.\//, ''),
+          data,
+        });
+        break;
+    }
+
+    longName = null;
+  }
+
+  return entries;
+}
+
+module.exports = {
+  decompress,
+  readTar,
+};
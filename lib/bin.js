@@ -7,10 +7,95 @@ const xPacman = require('xcraft-contrib-pacman');
 const xFs = require('xcraft-core-fs');
 const {fse} = require('xcraft-core-fs');
 const MapLimit = require('./mapLimit.js');
+const DiskCache = require('./diskCache.js');
 const debversion = require('wpkg-debversion');
+const {readIndex} = require('./repoIndex.js');
+const {sign} = require('./signature.js');
+const rootQueue = require('./rootQueue.js');
+const {isAbortable, reasonOf, watchProcess} = require('./abort.js');
+const Progress = require('./progress.js');
+const {
+  WpkgExitError,
+  LockedDatabaseError,
+  CancelledError,
+} = require('./errors.js');
+
+/* Commands which change a target root, they are serialized by root.
+ * --build is queued when it has a root because the build dependencies of
+ * the source packages are installed there. --remove-database-lock is used
+ * for the recovery of a queued command.
+ */
+const mutatingCommands = [
+  '--add-hooks',
+  '--add-sources',
+  '--autoremove',
+  '--build',
+  '--create-admindir',
+  '--install',
+  '--remove',
+  '--remove-sources',
+  '--set-selection',
+  '--update',
+  '--upgrade',
+];
+
+/* Options followed by a value, this value is never a command */
+const valueOptions = [
+  '--cmake-generator',
+  '--compressor',
+  '--depth',
+  '--install-prefix',
+  '--make-tool',
+  '--output-repository-dir',
+  '--root',
+  '--set-selection',
+  '--tmpdir',
+  '--zlevel',
+];
+
+/**
+ * Options of the wpkg arguments, with their values.
+ *
+ * Only the arguments at the option positions are considered, then a value
+ * (a root, a package name, ...) is never taken for a command.
+ *
+ * @param {Array} args - Arguments.
+ * @returns {Map} the value of each option (true without value).
+ */
+function optionsOf(args) {
+  const options = new Map();
+
+  for (let it = 0; it < args.length; ++it) {
+    const arg = args[it];
+    if (typeof arg !== 'string' || !arg.startsWith('--')) {
+      continue;
+    }
+    options.set(arg, valueOptions.includes(arg) ? args[++it] : true);
+  }
+
+  return options;
+}
+
+/* Commands whose progress is reported */
+const progressCommands = ['--build', '--install', '--upgrade'];
 
 class WpkgBin {
-  static #indexCache = new MapLimit(20);
+  /* The indexes are weighted by their number of packages because a
+   * huge index takes much more memory than the small ones.
+   */
+  static #indexCache = new MapLimit(20, {
+    maxWeight: 20000,
+    weigh: (result) => Object.keys(result).length || 1,
+  });
+
+  /**
+   * Statistics of the cache of the parsed indexes.
+   *
+   * @returns {object} the statistics (see MapLimit.stats).
+   */
+  static cacheStats() {
+    return WpkgBin.#indexCache.stats();
+  }
 
   /**
    * Create a wrapper on wpkg.
@@ -18,8 +103,11 @@ class WpkgBin {
    * @param {object} resp - Response handler.
    * @param {string} targetRoot - Package target root.
    * @param {object} env - Environment variables.
+   * @param {string} [tmp] - Temporary directory (instead of wpkgTemp).
+   * @param {object} [abort] - Abort signal (signal) and timeout in ms (timeout) of the commands.
+   * @param {Function} [onProgress] - Called with the progress events.
    */
-  constructor(resp, targetRoot, env) {
+  constructor(resp, targetRoot, env, tmp, abort, onProgress) {
     const xPlatform = require('xcraft-core-platform');
 
     watt.wrapAll(this);
@@ -32,23 +120,91 @@ class WpkgBin {
     this._pacmanConfig = require('xcraft-core-etc')(null, resp).load(
       'xcraft-contrib-pacman'
     );
+    this._wpkgConfig = require('xcraft-core-etc')(null, resp).load(
+      'xcraft-contrib-wpkg'
+    );
+    this._cache = DiskCache.fromConfig(this._xcraftConfig, this._wpkgConfig);
     this._targetRoot = targetRoot || this._xcraftConfig.pkgTargetRoot;
     this._exception = ['.gitignore', '.gitattributes'];
     this._env = env;
+    this._tmp = tmp;
+    this._abort = abort;
+    this._onProgress = onProgress;
+  }
+
+  /**
+   * Progress of a command (install, upgrade and build only).
+   *
+   * The events are passed to the onProgress callback and they are sent
+   * on the bus (wpkg.progress) when progress.events is enabled.
+   *
+   * @param {string} command - Main command.
+   * @returns {Progress} the progress or null.
+   */
+  _progress(command) {
+    const events = !!this._wpkgConfig?.progress?.events;
+    if (!progressCommands.includes(command) || (!this._onProgress && !events)) {
+      return null;
+    }
+
+    return new Progress(command.replace(/^--/, ''), (event) => {
+      if (this._onProgress) {
+        this._onProgress(event);
+      }
+      if (events) {
+        this._resp.events.send('wpkg.progress', event);
+      }
+    });
+  }
+
+  /**
+   * Options to spawn a command.
+   *
+   * The abortable commands are detached in order to kill the whole process
+   * tree (wpkg with make, the compilers, ...).
+   *
+   * @param {string} command - Main command.
+   * @returns {object} the spawn options.
+   */
+  _spawnOptions(command) {
+    if (this._abort?.signal?.aborted) {
+      throw new CancelledError(command, reasonOf(this._abort.signal));
+    }
+
+    const opts = this._env
+      ? {env: Object.assign({}, process.env, this._env)}
+      : {};
+    if (isAbortable(this._abort) && process.platform !== 'win32') {
+      opts.detached = true;
+    }
+    return opts;
   }
 
   /**
    * Spawn wpkg and handle the outputs.
    *
+   * When the database is locked, a LockedDatabaseError is thrown. If the
+   * lock recovery is enabled, a stale lock is removed and the command is
+   * retried once.
+   *
+   * The commands which change a target root wait for the previous ones on
+   * the same root (see rootQueue), the read-only commands are not queued.
+   *
+   * When the abort signal is aborted or when the timeout is reached, the
+   * process tree is killed and a CancelledError is thrown.
+   *
+   * The outputs of install, upgrade and build are reported as progress
+   * events (see Progress).
+   *
    * @yields
    * @param {string[]} args - Arguments.
    * @param {string} [lastArg] - The last argument.
-   * @param {string} tmp - The temporary directory.
+   * @param {object} [dirs] - The temporary (tmp) and working (cwd) directories.
    * @param {Function} [callbackStdout] -  Stdout's callback.
    * @param {Function} [next] - Watt's callback.
    * @returns {number} the return code.
    */
-  *_runWpkg(args, lastArg, tmp, callbackStdout, next) {
+  *_runWpkg(args, lastArg, dirs, callbackStdout, next) {
     const xProcess = require('xcraft-core-process')({
       logger: 'xlog',
       forwarder: 'wpkg',
@@ -61,8 +217,8 @@ class WpkgBin {
 
     this._resp.log.info('begin command ' + cmdName);
 
-    if (tmp) {
-      args.unshift(tmp);
+    if (dirs?.tmp) {
+      args.unshift(dirs.tmp);
       args.unshift('--tmpdir');
     } else if (this._pacmanConfig.wpkgTemp) {
       args.unshift(
@@ -77,27 +233,194 @@ class WpkgBin {
 
     this._resp.log.verb('%s %s', bin, args.join(' '));
 
-    const opts = this._env
-      ? {env: Object.assign({}, process.env, this._env)}
-      : {};
-    const code = yield xProcess.spawn(bin, args, opts, next, callbackStdout);
-    this._resp.log.info('end command ' + cmdName + ' with rc ' + code);
-    return code;
+    const opts = this._spawnOptions(cmdName);
+    /* Never change the cwd of the process, concurrent builds depend on it */
+    if (dirs?.cwd) {
+      opts.cwd = dirs.cwd;
+    }
+
+    const options = optionsOf(args);
+    const root = options.get('--root') || null;
+    /* The command is not always the last argument (--set-selection, ...) */
+    const mutating = mutatingCommands.some((command) => options.has(command));
+    const leave =
+      root && mutating
+        ? yield rootQueue.enter(
+            root,
+            this._resp,
+            !!this._wpkgConfig?.queue?.fileLock
+          )
+        : null;
+
+    const progress = this._progress(cmdName);
+    let rc = null;
+
+    const watcher = watchProcess(this._abort, () => xProcess.getpid());
+    try {
+      progress?.begin();
+
+      /* Maybe aborted while waiting in the queue */
+      if (this._abort?.signal?.aborted) {
+        throw new CancelledError(cmdName, reasonOf(this._abort.signal));
+      }
+
+      let recover = this._wpkgConfig?.lock?.recover;
+      for (;;) {
+        let locked = false;
+        const onLine = (line) => {
+          if (/database is locked/i.test(line)) {
+            locked = true;
+          }
+          progress?.parse(line);
+        };
+
+        try {
+          const code = yield xProcess.spawn(
+            bin,
+            args,
+            Object.assign({}, opts),
+            WpkgBin._exitCallback(cmdName, args, next),
+            (line) => {
+              onLine(line);
+              if (callbackStdout) {
+                callbackStdout(line);
+              }
+            },
+            onLine
+          );
+          if (watcher.reason) {
+            throw new CancelledError(cmdName, watcher.reason);
+          }
+          this._resp.log.info('end command ' + cmdName + ' with rc ' + code);
+          rc = code;
+          return code;
+        } catch (ex) {
+          if (watcher.reason) {
+            throw new CancelledError(cmdName, watcher.reason);
+          }
+          if (!locked) {
+            throw ex;
+          }
+
+          if (recover && root && (yield this._removeStaleLock(root))) {
+            recover = false;
+            continue;
+          }
+          throw new LockedDatabaseError(root);
+        }
+      }
+    } finally {
+      watcher.dispose();
+      progress?.end(rc);
+      if (leave) {
+        leave();
+      }
+    }
   }
 
-  *_run(args, lastArg, callbackStdout, next) {
-    const xSubst = require('xcraft-core-subst');
+  /**
+   * Remove the database lock if its owner is no longer running.
+   *
+   * The owner is the PID written in the lock file. Without PID, the lock
+   * is stale only if it's older than the lock.staleAge setting.
+   *
+   * @yields
+   * @param {string} root - Target root (with the architecture).
+   * @param {Function} [next] - Watt's callback.
+   * @returns {boolean} true if the lock is removed.
+   */
+  *_removeStaleLock(root, next) {
+    const lockFile = path.join(
+      root,
+      this._wpkgConfig?.lock?.file || 'var/lib/wpkg/core/wpkg.lck'
+    );
+
+    let content;
+    let stats;
+    try {
+      content = xFs.fse.readFileSync(lockFile, 'utf8');
+      stats = xFs.fse.statSync(lockFile);
+    } catch (ex) {
+      if (ex.code !== 'ENOENT') {
+        throw ex;
+      }
+      return false;
+    }
+
+    const pid = parseInt(content.match(/\d+/)?.[0]);
+    if (pid) {
+      try {
+        process.kill(pid, 0);
+        return false; /* The owner is still running */
+      } catch (ex) {
+        if (ex.code === 'EPERM') {
+          return false;
+        }
+      }
+    } else {
+      const staleAge = parseInt(this._wpkgConfig?.lock?.staleAge) || 0;
+      if (!staleAge || Date.now() - stats.mtimeMs < staleAge * 1000) {
+        return false;
+      }
+    }
 
-    const tmp = path.join(
-      this._xcraftConfig.xcraftRoot,
-      this._pacmanConfig.wpkgTemp
+    this._resp.log.warn(`remove the stale database lock of ${root}`);
+    yield this._runWpkg(
+      ['--root', root, '--remove-database-lock'],
+      null,
+      null,
+      null,
+      next
     );
+    return true;
+  }
+
+  /**
+   * Wrap the process callback in order to replace the parser's error
+   * (a string) by a WpkgExitError.
+   *
+   * @param {string} command - Main command.
+   * @param {string[]} args - Arguments.
+   * @param {Function} next - Watt's callback.
+   * @returns {Function} the process callback.
+   */
+  static _exitCallback(command, args, next) {
+    return (err, code) => {
+      if (err && !(err instanceof Error)) {
+        err = new WpkgExitError(command, args, code);
+      }
+      next(err, code);
+    };
+  }
+
+  /**
+   * Spawn wpkg with a substituted temporary directory.
+   *
+   * @yields
+   * @param {string[]} args - Arguments.
+   * @param {string} [lastArg] - The last argument.
+   * @param {object} [options] - The working directory (cwd) and the stdout's callback (callbackStdout).
+   * @param {Function} [next] - Watt's callback.
+   * @returns {number} the return code.
+   */
+  *_run(args, lastArg, options, next) {
+    const xSubst = require('xcraft-core-subst');
+
+    const tmp =
+      this._tmp ||
+      path.join(this._xcraftConfig.xcraftRoot, this._pacmanConfig.wpkgTemp);
 
     return yield xSubst.wrap(
       tmp,
       this._resp,
       (err, dest, callback) => {
-        this._runWpkg(args, lastArg, dest, callbackStdout, callback);
+        this._runWpkg(
+          args,
+          lastArg,
+          {tmp: dest, cwd: options?.cwd},
+          options?.callbackStdout,
+          callback
+        );
       },
       next
     );
@@ -130,10 +453,25 @@ class WpkgBin {
 
     this._resp.log.verb('%s %s', bin, args.join(' '));
 
-    const opts = this._env
-      ? {env: Object.assign({}, process.env, this._env)}
-      : {};
-    return yield xProcess.spawn(bin, args, opts, next, callbackStdout);
+    const opts = this._spawnOptions(bin);
+    const watcher = watchProcess(this._abort, () => xProcess.getpid());
+    try {
+      const code = yield xProcess.spawn(
+        bin,
+        args,
+        opts,
+        WpkgBin._exitCallback(bin, args, next),
+        callbackStdout
+      );
+      if (watcher.reason) {
+        throw new CancelledError(bin, watcher.reason);
+      }
+      return code;
+    } catch (ex) {
+      throw watcher.reason ? new CancelledError(bin, watcher.reason) : ex;
+    } finally {
+      watcher.dispose();
+    }
   }
 
   _addRepositories(distribution) {
@@ -198,7 +536,20 @@ class WpkgBin {
     return yield this._run(args, packagePath, null, next);
   }
 
-  *buildSrc(repositoryPath, distribution, next) {
+  /**
+   * Build a source package from a package directory.
+   *
+   * wpkg is spawned in the package directory, the cwd of the process is
+   * not changed.
+   *
+   * @yields
+   * @param {string} packagePath - Package directory.
+   * @param {string} [repositoryPath] - Output repository.
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {Function} [next] - Watt's callback.
+   * @returns {number} the return code.
+   */
+  *buildSrc(packagePath, repositoryPath, distribution, next) {
     const args = [
       '--verbose',
       '--accept-special-windows-filename',
@@ -217,9 +568,20 @@ class WpkgBin {
     args.push('--exception', ...this._exception);
     args.push('--build');
 
-    return yield this._run(args, null, null, next);
+    return yield this._run(args, null, {cwd: packagePath}, next);
   }
 
+  /**
+   * Create the index of a repository.
+   *
+   * The index is signed when a private key is configured.
+   *
+   * @yields
+   * @param {string} repositoryPath - Repository location.
+   * @param {string} indexName - Index file name.
+   * @param {Function} [next] - Watt's callback.
+   * @returns {number} the return code.
+   */
   *createIndex(repositoryPath, indexName, next) {
     const args = [
       '--verbose',
@@ -231,13 +593,15 @@ class WpkgBin {
       '--create-index',
     ];
 
-    return yield this._runWpkg(
-      args,
-      path.join(repositoryPath, indexName),
-      null,
-      null,
-      next
-    );
+    const indexPath = path.join(repositoryPath, indexName);
+    const code = yield this._runWpkg(args, indexPath, null, null, next);
+
+    const privateKey = this._wpkgConfig?.signature?.privateKey;
+    if (privateKey && xFs.fse.existsSync(indexPath)) {
+      sign(indexPath, path.resolve(this._xcraftConfig.xcraftRoot, privateKey));
+    }
+
+    return code;
   }
 
   *install(packagePath, arch, distribution, reinstall, next) {
@@ -298,45 +662,6 @@ class WpkgBin {
     return code ? null : fields;
   }
 
-  *show(packagePath, distribution, next) {
-    const format = [
-      'Architecture',
-      'Build-Depends',
-      'Date',
-      'Depends',
-      'Distribution',
-      'Package',
-      'Version',
-      'X-Craft-Build-Depends',
-      'X-Craft-Make-Depends',
-      `X-Craft-Packages-${distribution}`,
-      'X-Craft-Sub-Packages',
-    ].reduce((state, dep) => {
-      state[dep] = `\${${dep}}`;
-      return state;
-    }, {});
-
-    const args = [
-      '--showformat',
-      JSON.stringify(format) + '\n',
-      '--show',
-      packagePath,
-    ];
-
-    let output = '';
-    const code = yield this._runWpkg(
-      args,
-      null,
-      null,
-      (line) => {
-        output += line;
-      },
-      next
-    );
-
-    return code ? null : JSON.parse(output);
-  }
-
   *remove(packageName, arch, recursive, next) {
     const args = [
       '--verbose',
@@ -489,6 +814,7 @@ class WpkgBin {
             return;
           }
           listOut.push({
+            Status: matches[1],
             Name: matches[2],
             Version: matches[3],
             Description: matches[4],
@@ -585,13 +911,6 @@ class WpkgBin {
   *listIndexPackages(repositoryPath, arch, filters, listOut, options, next) {
     const xUtils = require('xcraft-core-utils');
 
-    const args = [
-      '--verbose',
-      '--root',
-      path.join(this._targetRoot, arch),
-      '--list-index-packages-json',
-    ];
-
     const list = {};
     const filtered = [];
     const indexPath = path.join(repositoryPath, this._pacmanConfig.pkgIndex);
@@ -600,27 +919,21 @@ class WpkgBin {
       return;
     }
 
-    let rc;
-    let result = '';
-    const hash = xUtils.crypto.sha256(fse.readFileSync(indexPath));
-
-    if (!WpkgBin.#indexCache.has(hash)) {
-      rc = yield this._runWpkg(
-        args,
-        indexPath,
-        null,
-        (line) => (result += line),
-        next
-      );
-
-      result = JSON.parse(
-        /* Try to fix for Windows because it seems bugged with wpkg */
-        result.replace(/(^|[^\\])[\\]([^\\]|$)/g, '$1\\\\$2')
-      );
-      result = result[indexPath];
+    const data = fse.readFileSync(indexPath);
+    const hash = xUtils.crypto.sha256(data);
+
+    let result = WpkgBin.#indexCache.get(hash);
+    if (!result) {
+      const persistent = this._wpkgConfig?.cache?.results ?? true;
+      /* Maybe parsed by an other process */
+      result = persistent ? this._cache.getJSON(hash, 'index') : undefined;
+      if (!result) {
+        result = readIndex(indexPath, data);
+        if (persistent) {
+          this._cache.setJSON(hash, 'index', result);
+        }
+      }
       WpkgBin.#indexCache.set(hash, result);
-    } else {
-      result = WpkgBin.#indexCache.get(hash);
     }
 
     for (const [filename, meta] of Object.entries(result)) {
@@ -633,6 +946,7 @@ class WpkgBin {
         version: meta.version,
         arch: meta.architecture !== 'source' ? meta.architecture : null,
         ctrlDistribution: meta.distribution,
+        control: meta.control,
       };
 
       const res = Object.keys(deb).every((it) => {
@@ -693,9 +1007,7 @@ class WpkgBin {
         arch: deb.arch,
         distrib: deb.distrib,
         file: debFile + '.deb',
-        ctrl: {
-          Distribution: deb.ctrlDistribution,
-        },
+        ctrl: deb.control,
       };
 
       if (options?.greater) {
@@ -707,8 +1019,6 @@ class WpkgBin {
         listOut[deb.name][deb.version] = payload;
       }
     });
-
-    return rc;
   }
 
   *addHooks(hooks, arch, next) {
@@ -0,0 +1,156 @@
+'use strict';
+
+const fs = require('fs');
+const xUtils = require('xcraft-core-utils');
+
+/* Sidecar files by algorithm, the strongest first */
+const sidecars = {
+  sha256: '.sha256',
+  md5: '.md5sum',
+};
+
+/**
+ * Compute the checksum of a file.
+ *
+ * @param {string} file - File location.
+ * @param {string} [algorithm] - sha256 or md5.
+ * @param {Buffer} [data] - File content if already loaded.
+ * @returns {string} the hex digest.
+ */
+function hashFile(file, algorithm = 'sha256', data = fs.readFileSync(file)) {
+  return xUtils.crypto[algorithm](data);
+}
+
+/**
+ * Read the checksum of a file from its sidecar (.sha256 or .md5sum).
+ *
+ * The first word of the sidecar is the digest (like sha256sum outputs).
+ *
+ * @param {string} file - File location.
+ * @param {string} [algorithm] - A specific algorithm, otherwise the strongest.
+ * @returns {object} the checksum ({algorithm, hash}) or null.
+ */
+function readChecksum(file, algorithm) {
+  const algorithms = algorithm ? [algorithm] : Object.keys(sidecars);
+
+  for (const algorithm of algorithms) {
+    try {
+      const hash = fs
+        .readFileSync(file + sidecars[algorithm], 'utf8')
+        .trim()
+        .split(/\s+/)[0];
+      return {algorithm, hash};
+    } catch (ex) {
+      if (ex.code !== 'ENOENT') {
+        throw ex;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Write the .sha256 sidecar of a file.
+ *
+ * @param {string} file - File location.
+ * @param {Buffer} [data] - File content if already loaded.
+ * @returns {string} the SHA-256 digest.
+ */
+function writeChecksum(file, data) {
+  const hash = hashFile(file, 'sha256', data);
+  fs.writeFileSync(file + sidecars.sha256, hash);
+  return hash;
+}
+
+/**
+ * Write the .sha256 sidecar of a file when it is missing or stale.
+ *
+ * The sidecar is stale when the file is newer than it. When the file has an
+ * .md5sum sidecar too (rebuilt in place), the .sha256 is checked against the
+ * content because both sidecars can disagree.
+ *
+ * @param {string} file - File location.
+ * @returns {boolean} true if the sidecar has been (re)written.
+ */
+function refreshChecksum(file) {
+  let stale;
+  try {
+    stale =
+      fs.statSync(file + sidecars.sha256).mtimeMs < fs.statSync(file).mtimeMs;
+  } catch (ex) {
+    if (ex.code !== 'ENOENT') {
+      throw ex;
+    }
+    stale = true;
+  }
+
+  let data;
+  if (!stale && readChecksum(file, 'md5')) {
+    data = fs.readFileSync(file);
+    stale =
+      readChecksum(file, 'sha256').hash !== hashFile(file, 'sha256', data);
+  }
+
+  if (stale) {
+    writeChecksum(file, data);
+  }
+  return stale;
+}
+
+/**
+ * Verify a file against all its sidecars.
+ *
+ * @param {string} file - File location.
+ * @param {Buffer} [data] - File content if already loaded.
+ * @returns {object} the result ({algorithms, mismatches}), with the checked and the failing algorithms.
+ */
+function verifyChecksum(file, data = fs.readFileSync(file)) {
+  const result = {algorithms: [], mismatches: []};
+
+  for (const algorithm of Object.keys(sidecars)) {
+    const checksum = readChecksum(file, algorithm);
+    if (!checksum) {
+      continue;
+    }
+
+    result.algorithms.push(algorithm);
+    if (checksum.hash !== hashFile(file, algorithm, data)) {
+      result.mismatches.push(algorithm);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check if two files have the same checksum according to their sidecars.
+ *
+ * The strongest algorithm available on both sides is used. Without
+ * a common sidecar, the contents of the files are compared.
+ *
+ * @param {string} file1 - File location.
+ * @param {string} file2 - File location.
+ * @returns {boolean} true if identical.
+ */
+function sameChecksum(file1, file2) {
+  for (const algorithm of Object.keys(sidecars)) {
+    const checksum1 = readChecksum(file1, algorithm);
+    const checksum2 = readChecksum(file2, algorithm);
+    if (checksum1 && checksum2) {
+      return checksum1.hash === checksum2.hash;
+    }
+  }
+
+  return hashFile(file1) === hashFile(file2);
+}
+
+module.exports = {
+  sidecars: Object.values(sidecars),
+  hashFile,
+  readChecksum,
+  writeChecksum,
+  refreshChecksum,
+  verifyChecksum,
+  sameChecksum,
+};
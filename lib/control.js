@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Parse a Debian control file (one paragraph).
+ *
+ * The continuation lines of the multi-line fields are joined with '\n'
+ * (the leading space is removed and the ' .' lines become empty lines).
+ *
+ * @param {string} content - Control file content.
+ * @returns {object} the fields (key: value).
+ */
+function parseControl(content) {
+  const fields = {};
+  let field = null;
+
+  for (const line of content.replace(/\r/g, '').split('\n')) {
+    if (/^[ \t]/.test(line)) {
+      if (!field) {
+        continue;
+      }
+      const value = line.substring(1);
+      fields[field] += '\n' + (value.trim() === '.' ? '' : value);
+      continue;
+    }
+
+    if (line.startsWith('#')) {
+      continue;
+    }
+
+    if (!line.trim()) {
+      /* Only the first paragraph is relevant */
+      if (field) {
+        break;
+      }
+      continue;
+    }
+
+    const it = line.indexOf(':');
+    if (it === -1) {
+      continue;
+    }
+
+    field = line.substring(0, it).trim();
+    fields[field] = line.substring(it + 1).trim();
+  }
+
+  return fields;
+}
+
+/* [*external@]name[:qualifier] [([relation] version)] [[arch ...]] [<distrib ...>] */
+const dependRegex = /^(?:\*([^@\s]+)@)?([^\s:()[\]<>]+)(?::([^\s()[\]<>]+))?(?:\s*\(\s*(<<|<=|=|>=|>>|<|>)?\s*([^\s)<>=][^\s)]*)\s*\))?(?:\s*\[([^\]]*)\])?(?:\s*<([^>]*)>)?$/;
+
+function parseDepend(depend) {
+  const matches = depend.trim().match(dependRegex);
+  if (!matches) {
+    throw new Error(`invalid dependency: ${depend}`);
+  }
+
+  const [
+    ,
+    external,
+    name,
+    qualifier,
+    relation,
+    version,
+    architectures,
+    distributions,
+  ] = matches;
+  const split = (list) => (list ? list.trim().split(/\s+/) : []);
+
+  return {
+    name,
+    external: external || null,
+    qualifier: qualifier || null,
+    /* A version without relation is an exact version */
+    version: version ? {relation: relation || '=', version} : null,
+    architectures: split(architectures).map((arch) => ({
+      name: arch.replace(/^!/, ''),
+      negated: arch.startsWith('!'),
+    })),
+    distributions: split(distributions),
+  };
+}
+
+/**
+ * Parse a dependency field (Depends, Build-Depends, X-Craft-*-Depends, ...).
+ *
+ * The syntax of each dependency is:
+ *   [*external@]name[:qualifier] [([relation] version)] [[arch ...]] [<distrib ...>]
+ *
+ * A version without relation, like 'foo (1.2.3)', means '='.
+ *
+ * The comma separates the dependencies and the pipe separates the
+ * alternatives. The result is a list of dependencies where each entry
+ * is the list of its alternatives:
+ *
+ *   'foo (>= 1.2), bar | baz' => [[{name: 'foo', ...}], [{name: 'bar', ...}, {name: 'baz', ...}]]
+ *
+ * @param {string} value - Field value.
+ * @returns {object[][]} the dependencies with their alternatives.
+ */
+function parseDepends(value) {
+  if (!value || value === 'undefined') {
+    return [];
+  }
+
+  return value
+    .split(',')
+    .filter((depend) => depend.trim())
+    .map((depend) => depend.split('|').map(parseDepend));
+}
+
+module.exports = {
+  parseControl,
+  parseDepends,
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+const fs = require('fs');
+const {decompress, readTar} = require('./archive.js');
+const {parseControl} = require('./control.js');
+
+/**
+ * Read all members of an ar archive (the .deb container).
+ *
+ * @param {Buffer} buffer - The archive content.
+ * @returns {object[]} list of members ({name, data}).
+ */
+function readAr(buffer) {
+  if (buffer.toString('latin1', 0, 8) !== '!<arch>\n') {
+    throw new Error('not an ar archive');
+  }
+
+  const members = [];
+  let offset = 8;
+
+  while (offset + 60 <= buffer.length) {
+    const name = buffer
+      .toString('utf8', offset, offset + 16)
+      .trim()
+      .replace(/\/$/, '');
+    const size = parseInt(buffer.toString('latin1', offset + 48, offset + 58));
+    const dataOffset = offset + 60;
+
+    members.push({name, data: buffer.subarray(dataOffset, dataOffset + size)});
+
+    /* Members are aligned on 2 bytes */
+    offset = dataOffset + size + (size % 2);
+  }
+
+  return members;
+}
+
+/**
+ * Read the control file of a Debian package.
+ *
+ * The control.tar archive can be compressed with gzip or zstd.
+ *
+ * @param {string} debPath - Location of the .deb file.
+ * @param {Buffer} [data] - Package content if already loaded.
+ * @returns {object} all fields of the control file.
+ */
+function readControl(debPath, data = fs.readFileSync(debPath)) {
+  const member = readAr(data).find((member) =>
+    member.name.startsWith('control.tar')
+  );
+  if (!member) {
+    throw new Error(`control archive not found in ${debPath}`);
+  }
+
+  const control = readTar(decompress(member.data, member.name)).find(
+    (entry) => entry.name === 'control'
+  );
+  if (!control) {
+    throw new Error(`control file not found in ${debPath}`);
+  }
+
+  return parseControl(control.data.toString('utf8'));
+}
+
+module.exports = {
+  readAr,
+  readControl,
+};
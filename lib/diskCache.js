@@ -0,0 +1,286 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/* Errors of a concurrent access (an entry evicted by an other process) or
+ * of a read-only cache, the object is just not kept in this case.
+ */
+const ignoredCodes = ['ENOENT', 'EPERM', 'EBUSY', 'EACCES', 'EROFS'];
+
+/**
+ * Content-addressed cache on disk.
+ *
+ * Each entry is a directory named by a checksum (the content's SHA-256)
+ * which contains the cached files (a package with its sidecars, a parsed
+ * index, ...). The entries are evicted from the least recently used when
+ * the cache exceeds its maximum size.
+ *
+ * The size of the cache is computed once, then it's kept up to date with
+ * the writes of this instance. The cache is scanned again only when this
+ * running size exceeds the maximum size (the other processes are seen
+ * there).
+ */
+class DiskCache {
+  /**
+   * @param {string} root - Location of the cache.
+   * @param {number} [maxSize] - Maximum size in bytes (0 for unlimited).
+   */
+  constructor(root, maxSize = 0) {
+    this._root = root;
+    this._maxSize = maxSize;
+    this._size = null;
+  }
+
+  /**
+   * Create the cache accordingly to the module's settings.
+   *
+   * The cache settings (cache.path, cache.maxSize) are in the settings of
+   * this module and not in the pacman's ones, because only this module uses
+   * the cache and the pacman's settings are defined by xcraft-contrib-pacman.
+   *
+   * @param {object} xcraftConfig - Xcraft settings.
+   * @param {object} [wpkgConfig] - Settings of this module.
+   * @returns {DiskCache} the cache.
+   */
+  static fromConfig(xcraftConfig, wpkgConfig) {
+    const root = path.resolve(
+      xcraftConfig.xcraftRoot,
+      wpkgConfig?.cache?.path || './var/wpkg@cache/'
+    );
+    const maxSize = parseInt(wpkgConfig?.cache?.maxSize ?? 2048) || 0;
+    return new DiskCache(root, maxSize * 1024 * 1024);
+  }
+
+  _entry(key) {
+    return path.join(this._root, key);
+  }
+
+  _sizeOf(files) {
+    return files.reduce((size, file) => {
+      try {
+        return size + fs.statSync(file).size;
+      } catch (ex) {
+        if (ex.code !== 'ENOENT') {
+          throw ex;
+        }
+        return size;
+      }
+    }, 0);
+  }
+
+  /* Update the running size and evict only when the cache is too big */
+  _grow(delta, keep) {
+    if (!this._maxSize) {
+      return;
+    }
+
+    if (this._size === null) {
+      this._size = this._list().reduce((size, entry) => size + entry.size, 0);
+    } else {
+      this._size += delta;
+    }
+
+    if (this._size > this._maxSize) {
+      this.evict(keep);
+    }
+  }
+
+  _touch(entry) {
+    const now = new Date();
+    try {
+      fs.utimesSync(entry, now, now);
+    } catch (ex) {
+      if (ex.code !== 'ENOENT') {
+        throw ex;
+      }
+    }
+  }
+
+  /**
+   * Retrieve a cached file.
+   *
+   * @param {string} key - Checksum of the entry.
+   * @param {string} name - File name in the entry.
+   * @returns {string} the location of the file or null.
+   */
+  get(key, name) {
+    const file = path.join(this._entry(key), name);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    this._touch(this._entry(key));
+    return file;
+  }
+
+  /**
+   * Move files in an entry of the cache.
+   *
+   * @param {string} key - Checksum of the entry.
+   * @param {string[]} files - Files to move (the existing ones are replaced).
+   * @returns {string[]} the new locations.
+   */
+  put(key, files) {
+    const entry = this._entry(key);
+    fs.mkdirSync(entry, {recursive: true});
+
+    const previous = this._sizeOf(
+      files.map((file) => path.join(entry, path.basename(file)))
+    );
+    const locations = files.map((file) => {
+      const location = path.join(entry, path.basename(file));
+      try {
+        fs.renameSync(file, location);
+      } catch (ex) {
+        if (ex.code !== 'EXDEV') {
+          throw ex;
+        }
+        fs.copyFileSync(file, location);
+        fs.unlinkSync(file);
+      }
+      return location;
+    });
+
+    this._touch(entry);
+    this._grow(this._sizeOf(locations) - previous, key);
+    return locations;
+  }
+
+  /**
+   * Retrieve a cached object.
+   *
+   * @param {string} key - Checksum of the entry.
+   * @param {string} name - Object name in the entry.
+   * @returns {*} the object or undefined.
+   */
+  getJSON(key, name) {
+    const file = this.get(key, `${name}.json`);
+    if (!file) {
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      /* Broken entry, it will be replaced */
+      return undefined;
+    }
+  }
+
+  /**
+   * Store an object in the cache.
+   *
+   * The file is written atomically, then the concurrent readers (other
+   * processes) see the previous content or the new one, never a partial
+   * one. A cache which cannot be written is ignored.
+   *
+   * @param {string} key - Checksum of the entry.
+   * @param {string} name - Object name in the entry.
+   * @param {*} value - Object (serializable in JSON).
+   */
+  setJSON(key, name, value) {
+    const entry = this._entry(key);
+    const file = path.join(entry, `${name}.json`);
+    const tmp = `${file}.${process.pid}`;
+    const data = JSON.stringify(value);
+
+    let previous;
+    try {
+      previous = this._sizeOf([file]);
+      fs.mkdirSync(entry, {recursive: true});
+      fs.writeFileSync(tmp, data);
+      fs.renameSync(tmp, file);
+    } catch (ex) {
+      fs.rmSync(tmp, {force: true});
+      if (!ignoredCodes.includes(ex.code)) {
+        throw ex;
+      }
+      return;
+    }
+
+    this._touch(entry);
+    this._grow(Buffer.byteLength(data) - previous, key);
+  }
+
+  _list() {
+    let keys = [];
+    try {
+      keys = fs.readdirSync(this._root);
+    } catch (ex) {
+      if (ex.code !== 'ENOENT') {
+        throw ex;
+      }
+    }
+
+    return keys
+      .map((key) => {
+        const entry = this._entry(key);
+        try {
+          const size = fs
+            .readdirSync(entry)
+            .reduce(
+              (size, file) => size + fs.statSync(path.join(entry, file)).size,
+              0
+            );
+          return {key, size, time: fs.statSync(entry).mtimeMs};
+        } catch {
+          /* Removed by an other process */
+          return null;
+        }
+      })
+      .filter((entry) => entry);
+  }
+
+  /**
+   * Remove the least recently used entries until the cache fits in the
+   * maximum size.
+   *
+   * @param {string} [keep] - Entry to keep in any case (the last one used).
+   * @returns {object} what is removed ({entries, size}).
+   */
+  evict(keep) {
+    const removed = {entries: 0, size: 0};
+    if (!this._maxSize) {
+      return removed;
+    }
+
+    const entries = this._list().sort((a, b) => a.time - b.time);
+    let size = entries.reduce((size, entry) => size + entry.size, 0);
+
+    for (const entry of entries) {
+      if (size <= this._maxSize) {
+        break;
+      }
+      if (entry.key === keep) {
+        continue;
+      }
+      fs.rmSync(this._entry(entry.key), {recursive: true, force: true});
+      size -= entry.size;
+      ++removed.entries;
+      removed.size += entry.size;
+    }
+
+    this._size = size;
+    return removed;
+  }
+
+  /**
+   * Remove all entries.
+   *
+   * @returns {object} what is removed ({entries, size}).
+   */
+  clean() {
+    const removed = {entries: 0, size: 0};
+
+    for (const entry of this._list()) {
+      fs.rmSync(this._entry(entry.key), {recursive: true, force: true});
+      ++removed.entries;
+      removed.size += entry.size;
+    }
+
+    this._size = 0;
+    return removed;
+  }
+}
+
+module.exports = DiskCache;
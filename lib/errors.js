@@ -0,0 +1,155 @@
+'use strict';
+
+class WpkgError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * The package is not available in the repositories.
+ */
+class PackageNotFoundError extends WpkgError {
+  /**
+   * @param {string} packageName - Package name.
+   * @param {string} [packageVersion] - Package version.
+   * @param {string} [distribution] - Distribution.
+   * @param {string[]} [repositories] - Searched repositories.
+   */
+  constructor(packageName, packageVersion, distribution, repositories) {
+    super('package not found');
+    this.packageName = packageName;
+    this.packageVersion = packageVersion || null;
+    this.distribution = distribution || null;
+    this.repositories = repositories || [];
+  }
+}
+
+/**
+ * A wpkg (or deb2graph) command has failed.
+ */
+class WpkgExitError extends WpkgError {
+  /**
+   * @param {string} command - Main command (--install, --build, ...).
+   * @param {string[]} args - All arguments.
+   * @param {number} code - Return code.
+   */
+  constructor(command, args, code) {
+    super(`wpkg error with ${command} (rc ${code})`);
+    this.command = command;
+    this.args = args;
+    this.code = code;
+  }
+}
+
+/**
+ * The wpkg database of a target root is locked.
+ */
+class LockedDatabaseError extends WpkgError {
+  /**
+   * @param {string} root - Target root (with the architecture).
+   */
+  constructor(root) {
+    super(`the wpkg database is locked in ${root}`);
+    this.root = root;
+  }
+}
+
+/**
+ * There is no source package to build.
+ */
+class NothingToBuildError extends WpkgError {
+  /**
+   * @param {string} repository - Source repository.
+   */
+  constructor(repository) {
+    super('nothing to build');
+    this.repository = repository;
+  }
+}
+
+/**
+ * The options object passed to a method is not valid.
+ */
+class InvalidOptionsError extends WpkgError {
+  /**
+   * @param {string} method - Method name.
+   * @param {string} reason - What is wrong with the options.
+   */
+  constructor(method, reason) {
+    super(`invalid options for ${method}: ${reason}`);
+    this.method = method;
+    this.reason = reason;
+  }
+}
+
+/**
+ * The checksum of a package is missing or doesn't match.
+ */
+class ChecksumError extends WpkgError {
+  /**
+   * @param {string} file - Package location.
+   * @param {string} reason - What is wrong with the checksum.
+   */
+  constructor(file, reason) {
+    super(`bad checksum for ${file}: ${reason}`);
+    this.file = file;
+    this.reason = reason;
+  }
+}
+
+/**
+ * The signature of a package or of an index is missing or invalid.
+ */
+class SignatureError extends WpkgError {
+  /**
+   * @param {string} file - Location of the signed file.
+   */
+  constructor(file) {
+    super(`missing or invalid signature for ${file}`);
+    this.file = file;
+  }
+}
+
+/**
+ * The build dependencies of some source packages depend on each other.
+ */
+class DependencyCycleError extends WpkgError {
+  /**
+   * @param {string[]} packages - Source packages in the cycle(s).
+   */
+  constructor(packages) {
+    super(`cyclic build dependencies between ${packages.join(', ')}`);
+    this.packages = packages;
+  }
+}
+
+/**
+ * A wpkg (or deb2graph) command is cancelled by its abort signal or by
+ * its timeout.
+ */
+class CancelledError extends WpkgError {
+  /**
+   * @param {string} command - Main command (--install, --build, ...).
+   * @param {string} reason - 'aborted' or 'timeout'.
+   */
+  constructor(command, reason) {
+    super(`${command} is cancelled (${reason})`);
+    this.command = command;
+    this.reason = reason;
+  }
+}
+
+module.exports = {
+  WpkgError,
+  PackageNotFoundError,
+  WpkgExitError,
+  LockedDatabaseError,
+  NothingToBuildError,
+  InvalidOptionsError,
+  ChecksumError,
+  SignatureError,
+  DependencyCycleError,
+  CancelledError,
+};
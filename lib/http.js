@@ -0,0 +1,99 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {CancelledError} = require('./errors.js');
+const {reasonOf} = require('./abort.js');
+
+/**
+ * Check if a repository location is an http(s) URL.
+ *
+ * @param {string} location - Repository location.
+ * @returns {boolean} true for a remote repository.
+ */
+function isRemote(location) {
+  return /^https?:\/\//.test(location);
+}
+
+/**
+ * Download a file.
+ *
+ * The file is written only when the download is complete. With the
+ * modifiedSince option, the server can answer 304 (the local file is kept).
+ * A missing remote file (404) is not an error, the status is returned.
+ * When the signal is aborted, the download fails with a CancelledError.
+ *
+ * @param {string} url - Remote file.
+ * @param {string} file - Local destination.
+ * @param {object} [options] - Provide modifiedSince (Date), timeout (ms) and signal (AbortSignal).
+ * @returns {Promise<number>} the HTTP status (200, 304 or 404).
+ */
+function download(url, file, options = {}) {
+  const {modifiedSince, timeout = 60000, redirects = 5, signal} = options;
+
+  return new Promise((resolve, reject) => {
+    const client = require(url.startsWith('https:') ? 'https' : 'http');
+    const headers = {};
+    if (modifiedSince) {
+      headers['If-Modified-Since'] = modifiedSince.toUTCString();
+    }
+
+    const fail = (err) =>
+      reject(signal?.aborted ? new CancelledError(url, reasonOf(signal)) : err);
+
+    /* Partial file being written (removed on error) */
+    let output = null;
+
+    const req = client.get(url, {headers, timeout, signal}, (res) => {
+      const {statusCode} = res;
+
+      if (statusCode >= 300 && statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (!redirects) {
+          reject(new Error(`too many redirections for ${url}`));
+          return;
+        }
+        const location = new URL(res.headers.location, url).href;
+        download(location, file, {...options, redirects: redirects - 1}).then(
+          resolve,
+          reject
+        );
+        return;
+      }
+
+      if (statusCode === 304 || statusCode === 404) {
+        res.resume();
+        resolve(statusCode);
+        return;
+      }
+
+      if (statusCode !== 200) {
+        res.resume();
+        reject(new Error(`cannot download ${url} (HTTP ${statusCode})`));
+        return;
+      }
+
+      fs.mkdirSync(path.dirname(file), {recursive: true});
+      const part = `${file}.part`;
+      output = fs.createWriteStream(part);
+      res.pipe(output);
+      res.on('error', (err) => output.destroy(err));
+      output.on('error', (err) => {
+        fs.rm(part, {force: true}, () => fail(err));
+      });
+      output.on('finish', () => {
+        fs.rename(part, file, (err) => (err ? reject(err) : resolve(200)));
+      });
+    });
+
+    req.on('timeout', () =>
+      req.destroy(new Error(`timeout while downloading ${url}`))
+    );
+    req.on('error', (err) => (output ? output.destroy(err) : fail(err)));
+  });
+}
+
+module.exports = {
+  isRemote,
+  download,
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {readDatabase} = require('./admindir.js');
+
+/**
+ * Location of the journal in the admindir of a target root.
+ *
+ * @param {string} root - Target root (with the architecture).
+ * @returns {string} the journal file (JSON lines).
+ */
+function journalFile(root) {
+  return path.join(root, 'var/lib/wpkg/core/journal.jsonl');
+}
+
+/**
+ * State of the packages of a target root (to compare before and after an
+ * operation).
+ *
+ * @param {string} root - Target root (with the architecture).
+ * @returns {object} the version, status and selection by package name.
+ */
+function readState(root) {
+  const state = {};
+  for (const [name, {version, status, selection}] of Object.entries(
+    readDatabase(root)
+  )) {
+    state[name] = {version, status, selection};
+  }
+  return state;
+}
+
+/**
+ * Compare the states of a target root.
+ *
+ * The requested packages (known by the database) are always reported,
+ * the other ones only when they have changed (dependencies, autoremove,
+ * upgrade, ...).
+ *
+ * @param {object} before - State before the operation (see readState).
+ * @param {object} after - State after the operation (see readState).
+ * @param {string[]} [packages] - Requested packages.
+ * @returns {object[]} the changes ({name, before, after}).
+ */
+function diffState(before, after, packages = []) {
+  const changes = [];
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const name of [...names].sort()) {
+    const from = before[name] || null;
+    const to = after[name] || null;
+    if (
+      packages.includes(name) ||
+      from?.version !== to?.version ||
+      from?.status !== to?.status ||
+      from?.selection !== to?.selection
+    ) {
+      changes.push({name, before: from, after: to});
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Append an entry to the journal of a target root.
+ *
+ * The entries are small and written with a single append, then the
+ * concurrent writers (other processes) don't mix their lines. A line
+ * interrupted by a crash is terminated first, otherwise the new entry
+ * would be lost with it.
+ *
+ * @param {string} root - Target root (with the architecture).
+ * @param {object} entry - Journal entry (serializable in JSON).
+ */
+function append(root, entry) {
+  const file = journalFile(root);
+  fs.mkdirSync(path.dirname(file), {recursive: true});
+
+  let line = JSON.stringify(entry) + '\n';
+  try {
+    const fd = fs.openSync(file, 'r');
+    try {
+      const {size} = fs.fstatSync(fd);
+      const last = Buffer.alloc(1);
+      if (size && fs.readSync(fd, last, 0, 1, size - 1) && last[0] !== 0x0a) {
+        line = '\n' + line;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch (ex) {
+    if (ex.code !== 'ENOENT') {
+      throw ex;
+    }
+  }
+
+  fs.appendFileSync(file, line);
+}
+
+/**
+ * Read the journal of a target root.
+ *
+ * A broken line (interrupted write) is skipped.
+ *
+ * @param {string} root - Target root (with the architecture).
+ * @param {object} [filters] - Filters (operation, package, since, until, failed, limit).
+ * @returns {object[]} the entries, the oldest first.
+ */
+function read(root, filters = {}) {
+  let content;
+  try {
+    content = fs.readFileSync(journalFile(root), 'utf8');
+  } catch (ex) {
+    if (ex.code !== 'ENOENT') {
+      throw ex;
+    }
+    return [];
+  }
+
+  const operations = filters.operation ? [].concat(filters.operation) : null;
+  const since = filters.since ? new Date(filters.since).getTime() : null;
+  const until = filters.until ? new Date(filters.until).getTime() : null;
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    const time = new Date(entry.timestamp).getTime();
+    if (
+      (operations && !operations.includes(entry.operation)) ||
+      (filters.package &&
+        !entry.packages.includes(filters.package) &&
+        !entry.changes.some(({name}) => name === filters.package)) ||
+      (since !== null && time < since) ||
+      (until !== null && time > until) ||
+      (filters.failed !== undefined &&
+        filters.failed !== (!!entry.error || !!entry.code))
+    ) {
+      continue;
+    }
+
+    entries.push(entry);
+  }
+
+  return filters.limit ? entries.slice(-filters.limit) : entries;
+}
+
+module.exports = {
+  journalFile,
+  readState,
+  diffState,
+  append,
+  read,
+};
@@ -1,17 +1,125 @@
 'use strict';
 
+/**
+ * Map limited in number of entries (and optionally in weight) with the
+ * least recently used eviction.
+ *
+ * The order of the map is the recency: a `get` or a `set` moves the entry
+ * at the end, then the first entry is always the least recently used.
+ */
 class MapLimit extends Map {
-  constructor(max) {
+  /**
+   * @param {number} max - Maximum number of entries.
+   * @param {object} [options] - Options.
+   * @param {number} [options.ttl] - Time to live of an entry in ms (0 for none).
+   * @param {number} [options.maxWeight] - Maximum weight of all entries (0 for none).
+   * @param {Function} [options.weigh] - Returns the weight of a value (1 by default).
+   */
+  constructor(max, options = {}) {
     super();
     this._max = max;
+    this._ttl = options.ttl || 0;
+    this._maxWeight = options.maxWeight || 0;
+    this._weigh = options.weigh || (() => 1);
+    this._meta = new Map();
+    this._weight = 0;
+    this._stats = {hits: 0, misses: 0, evictions: 0, expirations: 0};
   }
 
-  set(key, value) {
-    while (this.size >= this._max) {
-      const it = this.entries();
-      this.delete(it.next().value[0]);
+  _expired(key) {
+    const meta = this._meta.get(key);
+    if (!meta || !meta.expires || meta.expires > Date.now()) {
+      return false;
+    }
+    this.delete(key);
+    ++this._stats.expirations;
+    return true;
+  }
+
+  has(key) {
+    return super.has(key) && !this._expired(key);
+  }
+
+  get(key) {
+    if (!this.has(key)) {
+      ++this._stats.misses;
+      return undefined;
     }
+
+    const value = super.get(key);
+    super.delete(key);
     super.set(key, value);
+    ++this._stats.hits;
+    return value;
+  }
+
+  set(key, value) {
+    this.delete(key);
+
+    const weight = this._weigh(value, key);
+    while (
+      this.size &&
+      (this.size >= this._max ||
+        (this._maxWeight && this._weight + weight > this._maxWeight))
+    ) {
+      this.delete(this.keys().next().value);
+      ++this._stats.evictions;
+    }
+
+    this._meta.set(key, {
+      weight,
+      expires: this._ttl ? Date.now() + this._ttl : 0,
+    });
+    this._weight += weight;
+    return super.set(key, value);
+  }
+
+  delete(key) {
+    const meta = this._meta.get(key);
+    if (meta) {
+      this._weight -= meta.weight;
+      this._meta.delete(key);
+    }
+    return super.delete(key);
+  }
+
+  /**
+   * Delete the entries selected by a predicate (they are not counted as
+   * evictions).
+   *
+   * @param {Function} predicate - Called with (value, key).
+   * @returns {number} the number of deleted entries.
+   */
+  deleteWhere(predicate) {
+    let deleted = 0;
+    for (const [key, value] of [...this.entries()]) {
+      if (predicate(value, key)) {
+        this.delete(key);
+        ++deleted;
+      }
+    }
+    return deleted;
+  }
+
+  clear() {
+    this._meta.clear();
+    this._weight = 0;
+    super.clear();
+  }
+
+  /**
+   * Statistics of the cache.
+   *
+   * @returns {object} the size, the weight and the counters.
+   */
+  stats() {
+    return {
+      size: this.size,
+      max: this._max,
+      weight: this._weight,
+      maxWeight: this._maxWeight,
+      ...this._stats,
+    };
   }
 }
 
@@ -0,0 +1,100 @@
+'use strict';
+
+const {InvalidOptionsError} = require('./errors.js');
+
+function isOptions(value) {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+/**
+ * Convert an options object to the positional arguments of a method.
+ *
+ * Each parameter of the signature is a key of the options object, or a
+ * list of keys when the positional argument is itself an object (like
+ * the {dryRun, rollback} options of install).
+ *
+ * @param {string} method - Method name (for the errors).
+ * @param {object} options - Options object.
+ * @param {object} signature - The parameters and the required keys.
+ * @returns {Array} the positional arguments.
+ */
+function toArguments(method, options, signature) {
+  const {params, required = []} = signature;
+  const known = params.flat();
+
+  const unknown = Object.keys(options).filter((key) => !known.includes(key));
+  if (unknown.length) {
+    throw new InvalidOptionsError(method, `unknown ${unknown.join(', ')}`);
+  }
+
+  const missing = required.filter(
+    (key) => options[key] === undefined || options[key] === null
+  );
+  if (missing.length) {
+    throw new InvalidOptionsError(method, `missing ${missing.join(', ')}`);
+  }
+
+  return params.map((param) => {
+    if (!Array.isArray(param)) {
+      return options[param];
+    }
+
+    const keys = param.filter((key) => options[key] !== undefined);
+    return keys.length
+      ? Object.fromEntries(keys.map((key) => [key, options[key]]))
+      : undefined;
+  });
+}
+
+/**
+ * Add the options-object form to the methods of an object.
+ *
+ * The methods keep the positional form. When the second argument is a
+ * plain object, it's converted to the positional arguments accordingly
+ * to the signature. The callback (if any) is passed as last argument.
+ * An invalid options object is reported to the callback or thrown.
+ *
+ * @param {object} object - Instance where the methods are replaced.
+ * @param {object} signatures - The signature of each method.
+ */
+function wrapOptions(object, signatures) {
+  for (const [name, signature] of Object.entries(signatures)) {
+    const method = object[name];
+
+    object[name] = function (first, options, ...rest) {
+      if (!isOptions(options)) {
+        return method.call(object, first, options, ...rest);
+      }
+
+      const callback = rest.find((arg) => typeof arg === 'function');
+
+      let args;
+      try {
+        args = toArguments(name, options, signature);
+      } catch (ex) {
+        if (!callback) {
+          throw ex;
+        }
+        callback(ex);
+        return;
+      }
+
+      return method.call(
+        object,
+        first,
+        ...args,
+        ...(callback ? [callback] : [])
+      );
+    };
+  }
+}
+
+module.exports = {
+  isOptions,
+  toArguments,
+  wrapOptions,
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+/* Prefix of the wpkg messages (wpkg:info:, wpkg_static:debug:, ...) */
+const wpkgPrefix = /^wpkg(?:_static)?:[a-z]+:\s*/;
+/* Colors of the build tools (ESC [ ... m) */
+const ansi = new RegExp(String.fromCharCode(0x1b) + '\\[[0-9;]*m', 'g');
+
+/* Steps of wpkg on the packages (install, upgrade, build of the -src) */
+const packageStep = /^(validating|unpacking|configuring|deconfiguring|installing|upgrading|removing|purging|building|packaging)\s+(?:package\s+)?"?([^"\s:]+)"?/i;
+/* Files copied by wpkg */
+const fileStep = /^(?:copying|copy|installing file)\s+"?([^"]+?)"?(?:\s+to\s.*)?$/i;
+/* Percentages of the build tools: "[ 42%] ..." (make), "[12/40] ..." (ninja) */
+const makePercent = /^\[\s*(\d{1,3})%\]/;
+const ninjaPercent = /^\[(\d+)\/(\d+)\]/;
+/* Explicit percentage of wpkg (only in the lines of wpkg) */
+const wpkgPercent = /(?:^|\s)(\d{1,3}(?:\.\d+)?)%(?:\s|$)/;
+
+/**
+ * Structured progress of a wpkg command (install, upgrade, build).
+ *
+ * The output lines (stdout and stderr) are converted into events which are
+ * passed to the emit function:
+ *
+ * - `{command, step: 'begin'}` and `{command, step: 'end', code}` where
+ *   the code is null when the command has failed or was cancelled;
+ * - `{command, step, package}` when wpkg unpacks, configures, builds, ...
+ *   a package (step is the lowercase wpkg verb);
+ * - `{command, step: 'file', package, file}` for each copied file;
+ * - `{command, step: 'progress', package, percent}` where wpkg (in its own
+ *   messages) or the build tools (make, ninja) provide a percentage.
+ *
+ * The percentages are only reported when they change.
+ */
+class Progress {
+  /**
+   * @param {string} command - Command (install, upgrade or build).
+   * @param {Function} emit - Called with each event.
+   */
+  constructor(command, emit) {
+    this._command = command;
+    this._emit = emit;
+    this._package = null;
+    this._percent = null;
+  }
+
+  _send(step, data = {}) {
+    try {
+      this._emit({command: this._command, step, ...data});
+    } catch {
+      /* A broken consumer must not break the command */
+    }
+  }
+
+  _percentOf(line, fromWpkg) {
+    let match = line.match(makePercent);
+    if (match) {
+      return parseInt(match[1]);
+    }
+    match = line.match(ninjaPercent);
+    if (match && parseInt(match[2])) {
+      return Math.floor((parseInt(match[1]) * 100) / parseInt(match[2]));
+    }
+    if (!fromWpkg) {
+      return null;
+    }
+    match = line.match(wpkgPercent);
+    return match ? Math.floor(parseFloat(match[1])) : null;
+  }
+
+  begin() {
+    this._send('begin');
+  }
+
+  /**
+   * Parse an output line of the command.
+   *
+   * @param {string} line - stdout or stderr line.
+   */
+  parse(line) {
+    line = `${line}`.replace(ansi, '');
+    const fromWpkg = wpkgPrefix.test(line);
+    line = line.replace(wpkgPrefix, '').trim();
+    if (!line) {
+      return;
+    }
+
+    const file = line.match(fileStep);
+    if (file) {
+      this._send('file', {package: this._package, file: file[1]});
+      return;
+    }
+
+    const step = line.match(packageStep);
+    if (step) {
+      this._package = step[2];
+      this._percent = null;
+      this._send(step[1].toLowerCase(), {package: this._package});
+      return;
+    }
+
+    const percent = this._percentOf(line, fromWpkg);
+    if (percent !== null && percent <= 100 && percent !== this._percent) {
+      this._percent = percent;
+      this._send('progress', {package: this._package, percent});
+    }
+  }
+
+  /**
+   * @param {number} [code] - Return code (null on failure).
+   */
+  end(code) {
+    this._send('end', {code: code ?? null});
+  }
+}
+
+module.exports = Progress;
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Check if the last parameter of a method is a node-style callback.
+ *
+ * Like in Wpkg, this parameter is named callback for the callback methods
+ * and next for the watt generators.
+ *
+ * @param {Function} method - Method.
+ * @returns {boolean} true with a callback.
+ */
+function withCallback(method) {
+  if (method.constructor.name === 'GeneratorFunction') {
+    return true;
+  }
+  const [, params] = method.toString().match(/^[^(]*\(([^)]*)\)/);
+  return params.split(',').pop().split('=')[0].trim() === 'callback';
+}
+
+/**
+ * Create a facade where all public methods of Wpkg return a Promise.
+ *
+ * The callback methods and the watt generators are called with their full
+ * arity in order to keep the optional arguments (like options) at the right
+ * place, the callback being always the last parameter (next for the
+ * generators). The synchronous methods are simply resolved.
+ *
+ * @param {Wpkg} wpkg - Wpkg instance.
+ * @returns {object} the methods returning a Promise.
+ */
+function promises(wpkg) {
+  const facade = {};
+
+  const prototype = Object.getPrototypeOf(wpkg);
+  const methods = Object.getOwnPropertyNames(prototype).filter(
+    (name) => name !== 'constructor' && !name.startsWith('_')
+  );
+
+  for (const name of methods) {
+    const method = prototype[name];
+
+    if (withCallback(method)) {
+      facade[name] = (...args) =>
+        new Promise((resolve, reject) => {
+          args.length = Math.max(args.length, method.length - 1);
+          wpkg[name](...args, (err, res) => (err ? reject(err) : resolve(res)));
+        });
+      continue;
+    }
+
+    facade[name] = async (...args) => wpkg[name](...args);
+  }
+
+  return facade;
+}
+
+module.exports = {
+  promises,
+};
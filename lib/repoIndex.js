@@ -0,0 +1,43 @@
+'use strict';
+
+const fs = require('fs');
+const {decompress, readTar} = require('./archive.js');
+const {parseControl} = require('./control.js');
+
+/**
+ * Read a wpkg repository index (created with --create-index).
+ *
+ * The index is a compressed tarball of the control files (.ctrl) of all
+ * packages available in the repository. The result uses the same layout
+ * as `wpkg --list-index-packages-json` for one index file, plus all the
+ * control fields.
+ *
+ * @param {string} indexPath - Location of the index file.
+ * @param {Buffer} [data] - Index content if already loaded.
+ * @returns {object} the packages by filename ({name, version, architecture, distribution, control}).
+ */
+function readIndex(indexPath, data = fs.readFileSync(indexPath)) {
+  const tar = decompress(data, indexPath);
+  const packages = {};
+
+  for (const entry of readTar(tar)) {
+    if (!entry.name.endsWith('.ctrl')) {
+      continue;
+    }
+
+    const ctrl = parseControl(entry.data.toString('utf8'));
+    packages[entry.name] = {
+      name: ctrl.Package,
+      version: ctrl.Version,
+      architecture: ctrl.Architecture,
+      distribution: ctrl.Distribution,
+      control: ctrl,
+    };
+  }
+
+  return packages;
+}
+
+module.exports = {
+  readIndex,
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const watt = require('gigawatts');
+
+/* Operations queued or running for each target root */
+const pending = new Map();
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (ex) {
+    return ex.code === 'EPERM';
+  }
+}
+
+/**
+ * Take the lock file of a target root (shared by all processes).
+ *
+ * A lock file whose owner (PID) is no longer running is removed.
+ *
+ * @yields
+ * @param {string} lockFile - Location of the lock file.
+ * @param {Function} next - Watt's callback.
+ */
+const lockFile = watt(function* (lockFile, next) {
+  fs.mkdirSync(path.dirname(lockFile), {recursive: true});
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, `${process.pid}`, {flag: 'wx'});
+      return;
+    } catch (ex) {
+      if (ex.code !== 'EEXIST') {
+        throw ex;
+      }
+    }
+
+    let pid;
+    try {
+      pid = parseInt(fs.readFileSync(lockFile, 'utf8'));
+    } catch (ex) {
+      if (ex.code !== 'ENOENT') {
+        throw ex;
+      }
+      continue; /* Released in the meantime */
+    }
+
+    if (pid && !isRunning(pid)) {
+      fs.rmSync(lockFile, {force: true});
+      continue;
+    }
+
+    yield setTimeout(next, 500);
+  }
+});
+
+/**
+ * Wait for the turn of a mutating operation on a target root.
+ *
+ * The operations on the same target root (with the architecture) are
+ * serialized in the process. With the file lock, they are serialized
+ * between the processes too. The position in the queue is logged.
+ *
+ * @yields
+ * @param {string} root - Target root (with the architecture).
+ * @param {object} resp - Response handler (for the logs).
+ * @param {boolean} [withFileLock] - Serialize between the processes too.
+ * @param {Function} next - Watt's callback.
+ * @returns {Function} the function to call in order to leave the queue.
+ */
+const enter = watt(function* (root, resp, withFileLock, next) {
+  const xUtils = require('xcraft-core-utils');
+
+  const key = path.resolve(root);
+  const position = pending.get(key) || 0;
+  pending.set(key, position + 1);
+
+  if (position) {
+    resp.log.info(`${position} operation(s) before this one on ${root}`);
+  }
+
+  const leave = () => {
+    const count = pending.get(key) - 1;
+    if (count) {
+      pending.set(key, count);
+    } else {
+      pending.delete(key);
+    }
+    xUtils.locks.getMutex.unlock(`wpkg:${key}`);
+  };
+
+  yield xUtils.locks.getMutex.lock(`wpkg:${key}`);
+
+  if (withFileLock) {
+    const file = `${key}.queue.lck`;
+    try {
+      yield lockFile(file, next);
+    } catch (ex) {
+      leave();
+      throw ex;
+    }
+    return () => {
+      fs.rmSync(file, {force: true});
+      leave();
+    };
+  }
+
+  return leave;
+});
+
+module.exports = {
+  enter,
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/* Detached signature of a file */
+const extension = '.sig';
+
+/**
+ * Sign a file with a private key (Ed25519 for example).
+ *
+ * The signature is written (base64) in a detached file, next to the
+ * signed file.
+ *
+ * @param {string} file - File location.
+ * @param {string} privateKey - Location of the private key (PEM).
+ * @returns {string} the location of the signature.
+ */
+function sign(file, privateKey) {
+  const key = crypto.createPrivateKey(fs.readFileSync(privateKey));
+  const signature = crypto.sign(null, fs.readFileSync(file), key);
+  fs.writeFileSync(file + extension, signature.toString('base64'));
+  return file + extension;
+}
+
+/**
+ * Load the trusted public keys (*.pem and *.pub) of a directory.
+ *
+ * @param {string} keysPath - Location of the public keys.
+ * @returns {crypto.KeyObject[]} the public keys.
+ */
+function loadPublicKeys(keysPath) {
+  let files = [];
+  try {
+    files = fs.readdirSync(keysPath);
+  } catch (ex) {
+    if (ex.code !== 'ENOENT') {
+      throw ex;
+    }
+  }
+
+  return files
+    .filter((file) => /\.(pem|pub)$/.test(file))
+    .map((file) =>
+      crypto.createPublicKey(fs.readFileSync(path.join(keysPath, file)))
+    );
+}
+
+/**
+ * Verify the detached signature of a file.
+ *
+ * @param {string} file - File location.
+ * @param {crypto.KeyObject[]} publicKeys - Trusted public keys.
+ * @returns {boolean} true if signed by one of the keys.
+ */
+function verify(file, publicKeys) {
+  let signature;
+  try {
+    signature = Buffer.from(
+      fs.readFileSync(file + extension, 'utf8').trim(),
+      'base64'
+    );
+  } catch (ex) {
+    if (ex.code !== 'ENOENT') {
+      throw ex;
+    }
+    return false;
+  }
+
+  const data = fs.readFileSync(file);
+  return publicKeys.some((key) => crypto.verify(null, data, key, signature));
+}
+
+module.exports = {
+  extension,
+  sign,
+  loadPublicKeys,
+  verify,
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+const {AsyncResource} = require('async_hooks');
+const {expect} = require('chai');
+const {currentOperation, reasonOf, wrapOperations} = require('../lib/abort.js');
+
+describe('xcraft.wpkg.abort', function () {
+  /* The deadlines are expired by the tests, never by the clock */
+  const timeout = AbortSignal.timeout;
+  let deadlines;
+
+  const expire = (deadline) =>
+    deadline.controller.abort(new DOMException('expired', 'TimeoutError'));
+
+  /* Steps of the operations, they are finished by the tests */
+  let pending;
+  const finish = () => pending.shift()(null);
+
+  const object = {
+    run(steps, options, callback) {
+      const loop = (it) =>
+        it === steps
+          ? callback(null, 'done')
+          : object.step({}, (err) => (err ? callback(err) : loop(it + 1)));
+      loop(0);
+    },
+
+    /* Wait for the test or for the signal of the running operation */
+    step(options, callback) {
+      const {signal} = currentOperation();
+      let done = false;
+      const end = (err) => {
+        if (!done) {
+          done = true;
+          callback(err);
+        }
+      };
+
+      if (signal?.aborted) {
+        end(reasonOf(signal));
+        return;
+      }
+      /* Like the end of a process, in the context of the operation */
+      pending.push(AsyncResource.bind(end));
+      signal?.addEventListener('abort', () => end(reasonOf(signal)));
+    },
+  };
+  wrapOperations(object, ['run', 'step'], {timeout: 1000});
+
+  const run = (...args) =>
+    new Promise((resolve) =>
+      object.run(...args, (err, res) => resolve(err || res))
+    );
+
+  beforeEach(function () {
+    deadlines = [];
+    pending = [];
+    AbortSignal.timeout = (ms) => {
+      const controller = new AbortController();
+      deadlines.push({ms, controller});
+      return controller.signal;
+    };
+  });
+
+  afterEach(function () {
+    AbortSignal.timeout = timeout;
+  });
+
+  it('one deadline for the whole operation', async function () {
+    const result = run(3, {});
+    finish();
+    finish();
+    finish();
+    expect(await result).to.be.equal('done');
+
+    /* The steps are part of the operation, they have no own deadline */
+    expect(deadlines.map(({ms}) => ms)).to.be.deep.equal([1000]);
+  });
+
+  it('deadline reached between the steps', async function () {
+    const result = run(3, {});
+    finish();
+    finish();
+    expire(deadlines[0]);
+    expect(await result).to.be.equal('timeout');
+    expect(deadlines).to.have.length(1);
+  });
+
+  it('one deadline by operation', async function () {
+    const first = run(1, {});
+    const second = run(1, {});
+    expect(deadlines).to.have.length(2);
+
+    expire(deadlines[0]);
+    expect(await first).to.be.equal('timeout');
+    pending[1](null);
+    expect(await second).to.be.equal('done');
+  });
+
+  it('signal and timeout of the call', async function () {
+    const result = run(2, {timeout: 60});
+    expect(deadlines.map(({ms}) => ms)).to.be.deep.equal([60]);
+    expire(deadlines[0]);
+    expect(await result).to.be.equal('timeout');
+
+    const controller = new AbortController();
+    const aborted = run(2, {signal: controller.signal});
+    finish();
+    controller.abort();
+    expect(await aborted).to.be.equal('aborted');
+  });
+
+  it('callback outside of the operation', async function () {
+    const operation = await new Promise((resolve) =>
+      object.run(0, {}, () => resolve(currentOperation()))
+    );
+    expect(operation).to.be.equal(undefined);
+  });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {expect} = require('chai');
+const {decompress, readTar} = require('../lib/archive.js');
+const {readAr, readControl} = require('../lib/deb.js');
+
+describe('xcraft.wpkg.archive', function () {
+  const fixtures = path.join(__dirname, 'fixtures/archives');
+  const fixture = (name) => path.join(fixtures, name);
+  const read = (name) => fs.readFileSync(fixture(name));
+
+  const control =
+    'Package: foo\nVersion: 1.0\nArchitecture: amd64\nDescription: fixture\n';
+  const longName = `${'d'.repeat(60)}/${'f'.repeat(120)}`;
+
+  for (const name of [
+    'control.tar',
+    'control.tar.gz',
+    'control.tar.xz',
+    'control.tar.zst',
+  ]) {
+    it(`readTar of ${name}`, function () {
+      const entries = readTar(decompress(read(name), name));
+
+      expect(entries).to.have.length(1);
+      expect(entries[0].name).to.be.equal('control');
+      expect(entries[0].data.toString()).to.be.equal(control);
+    });
+  }
+
+  for (const name of ['long-gnu.tar', 'long-pax.tar']) {
+    it(`readTar with a long name (${name})`, function () {
+      const entries = readTar(read(name));
+
+      expect(entries.map(({name}) => name)).to.be.deep.equal([longName]);
+      expect(entries[0].data.toString()).to.be.equal('long\n');
+    });
+  }
+
+  it('decompress an unsupported format', function () {
+    expect(() => decompress(Buffer.alloc(0), 'control.tar.bz2')).to.throw(
+      'unsupported compression'
+    );
+  });
+
+  it('readAr', function () {
+    const members = readAr(read('foo_1.0_amd64.deb'));
+
+    expect(members.map(({name}) => name)).to.be.deep.equal([
+      'debian-binary',
+      'control.tar.gz',
+      'data.tar.gz',
+    ]);
+    expect(members[0].data.toString()).to.be.equal('2.0\n');
+  });
+
+  it('readControl with gzip and zstd', function () {
+    for (const deb of ['foo_1.0_amd64.deb', 'bar_1.0_amd64.deb']) {
+      expect(readControl(fixture(deb)), deb).to.be.deep.equal({
+        Package: 'foo',
+        Version: '1.0',
+        Architecture: 'amd64',
+        Description: 'fixture',
+      });
+    }
+  });
+
+  it('reject a corrupt package', function () {
+    /* Truncated control.tar.gz */
+    expect(() => readControl(fixture('corrupt_1.0_amd64.deb'))).to.throw(
+      'unexpected end of file'
+    );
+    expect(() => readControl(fixture('control.tar'))).to.throw(
+      'not an ar archive'
+    );
+  });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {expect} = require('chai');
+const {newWpkg} = require('./fixtures/wpkg.js');
+
+describe('xcraft.wpkg.archives', function () {
+  /* Archive a version of foo with the modification time of its .deb */
+  function archive(archivesPath, version, date) {
+    const dir = path.join(archivesPath, 'foo', version);
+    const deb = path.join(dir, `foo_${version}_amd64.deb`);
+    fs.mkdirSync(dir, {recursive: true});
+    fs.writeFileSync(deb, version);
+    fs.utimesSync(deb, new Date(date), new Date(date));
+  }
+
+  it('pruneArchives with keepLast and newerThan', async function () {
+    const wpkg = newWpkg();
+    const repository = path.join(wpkg._xcraftConfig.xcraftRoot, 'repo');
+    const archivesPath = wpkg.getArchivesPath(repository, 'toolchain/');
+
+    archive(archivesPath, '1.0.0-1', '2020-01-01');
+    archive(archivesPath, '1.0.0-2', '2024-01-01');
+    archive(archivesPath, '1.0.0-3', '2020-01-01');
+    archive(archivesPath, '1.1.0-1', '2020-01-01');
+
+    const invalidated = [];
+    const invalidateCache = wpkg.invalidateCache;
+    wpkg.invalidateCache = (location) => {
+      invalidated.push(location);
+      return invalidateCache.call(wpkg, location);
+    };
+
+    const removed = await new Promise((resolve, reject) =>
+      wpkg.pruneArchives(
+        null,
+        {keepLast: 1, newerThan: '2023-01-01'},
+        (err, removed) => (err ? reject(err) : resolve(removed))
+      )
+    );
+
+    const removedPath = path.join(archivesPath, 'foo', '1.0.0-1');
+    expect(removed).to.be.deep.equal([{name: 'foo', version: '1.0.0-1'}]);
+    expect(fs.existsSync(removedPath)).to.be.equal(false);
+    expect(invalidated).to.be.deep.equal([removedPath]);
+
+    const index = JSON.parse(
+      fs.readFileSync(path.join(archivesPath, 'foo', 'index.json'))
+    );
+    expect(index['1.0.0'].versions).to.have.members(['1.0.0-2', '1.0.0-3']);
+    expect(index.latest).to.be.equal('1.1.0');
+  });
+
+  it('pruneArchives without rule', async function () {
+    const wpkg = newWpkg();
+
+    const err = await new Promise((resolve) =>
+      wpkg.pruneArchives(null, {pins: []}, resolve)
+    );
+    expect(err.message).to.contain('empty policy');
+  });
+});
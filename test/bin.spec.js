@@ -0,0 +1,54 @@
+'use strict';
+
+const path = require('path');
+const {expect} = require('chai');
+const {resp, stub, tmpDir} = require('./fixtures/wpkg.js');
+const WpkgBin = require('../lib/bin.js');
+const rootQueue = require('../lib/rootQueue.js');
+
+describe('xcraft.wpkg.bin', function () {
+  const queued = [];
+  const enter = rootQueue.enter;
+
+  before(function () {
+    /* wpkg is never spawned, each command returns 0 */
+    stub('xcraft-core-process', () => ({
+      spawn: (bin, args, opts, callback) =>
+        setImmediate(() => callback(null, 0)),
+      getpid: () => null,
+    }));
+    rootQueue.enter = (root, ...args) => {
+      queued.push(root);
+      return enter(root, ...args);
+    };
+  });
+
+  after(function () {
+    rootQueue.enter = enter;
+  });
+
+  beforeEach(function () {
+    queued.length = 0;
+  });
+
+  const run = (args, lastArg) => {
+    const wpkg = new WpkgBin(resp, null, null);
+    return wpkg._runWpkg(args, lastArg, null, null);
+  };
+
+  it('commands at the option positions', async function () {
+    const root = path.join(tmpDir('bin'), 'linux-amd64');
+
+    await run(['--verbose', '--root', root, '--set-selection', 'hold'], 'foo');
+    await run(['--root', root, '--autoremove']);
+    expect(queued).to.be.deep.equal([root, root]);
+  });
+
+  it('values and package names which look like commands', async function () {
+    const root = path.join(tmpDir('bin'), 'linux-amd64');
+
+    await run(['--root', root, '--install-prefix', '--install', '--list']);
+    await run(['--root', root, '--is-installed'], 'foo');
+    expect(queued).to.be.deep.equal([]);
+  });
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {expect} = require('chai');
+const rootQueue = require('../lib/rootQueue.js');
+const {newWpkg, resp} = require('./fixtures/wpkg.js');
+
+describe('xcraft.wpkg.build', function () {
+  const defs = {
+    'foo-src': {},
+    'bar-src': {},
+    'baz-src': {'Build-Depends': 'foo (>= 1.0)'},
+  };
+
+  /* Fake wpkg builds which keep their target roots and their overlaps,
+   * they are queued by target root like the real ones.
+   */
+  function fakeBuilds(wpkg) {
+    const builds = {roots: {}, running: 0, overlap: 0};
+
+    wpkg._lookForPackage = async (name) => ({file: `${name}.deb`});
+    wpkg.show = async (name) =>
+      Object.assign(
+        {'X-Craft-Sub-Packages': 'undefined', 'Build-Depends': 'undefined'},
+        {'X-Craft-Build-Depends': 'undefined'},
+        defs[name]
+      );
+    wpkg._syncRepository = async () => {};
+    wpkg._wpkgBin = (targetRoot) => ({
+      createAdmindir: (controlFile, arch, callback) => callback(),
+      createIndex: async () => {},
+      build: (repository, file, arch, distribution, callback) => {
+        builds.roots[path.basename(file, '.deb')] = targetRoot;
+        const root = path.join(targetRoot, arch);
+        rootQueue.enter(root, resp, false, (err, leave) => {
+          builds.running++;
+          builds.overlap = Math.max(builds.overlap, builds.running);
+          setTimeout(() => {
+            builds.running--;
+            leave();
+            callback();
+          }, 20);
+        });
+      },
+    });
+
+    return builds;
+  }
+
+  const build = (wpkg, concurrency) =>
+    new Promise((resolve, reject) =>
+      wpkg.buildManyFromSrc(
+        Object.keys(defs),
+        'linux-amd64',
+        null,
+        {concurrency},
+        (err, built) => (err ? reject(err) : resolve(built))
+      )
+    );
+
+  it('parallel builds with their own target roots', async function () {
+    const wpkg = newWpkg();
+    const builds = fakeBuilds(wpkg);
+
+    const built = await build(wpkg, 2);
+    expect(built).to.have.members(Object.keys(defs));
+    expect(built.indexOf('baz-src')).to.be.above(built.indexOf('foo-src'));
+    expect(builds.overlap).to.be.equal(2);
+
+    const roots = Object.values(builds.roots);
+    expect(new Set(roots).size).to.be.equal(roots.length);
+    for (const root of roots) {
+      expect(fs.existsSync(root)).to.be.equal(false);
+    }
+  });
+
+  it('sequential builds in the target root', async function () {
+    const wpkg = newWpkg();
+    const builds = fakeBuilds(wpkg);
+
+    await build(wpkg, 1);
+    expect(builds.overlap).to.be.equal(1);
+    expect(new Set(Object.values(builds.roots)).size).to.be.equal(1);
+  });
+});
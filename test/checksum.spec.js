@@ -0,0 +1,60 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {expect} = require('chai');
+const checksum = require('../lib/checksum.js');
+
+describe('xcraft.wpkg.checksum', function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wpkg-checksum-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  /* Write a file with a modification time in seconds */
+  const write = (name, content, mtime) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    fs.utimesSync(file, mtime, mtime);
+    return file;
+  };
+
+  it('refreshChecksum of a rebuilt package', function () {
+    const deb = write('foo.deb', 'first build', 1000);
+    expect(checksum.refreshChecksum(deb)).to.be.equal(true);
+    fs.utimesSync(deb + '.sha256', 1000, 1000);
+    expect(checksum.refreshChecksum(deb)).to.be.equal(false);
+
+    write('foo.deb', 'second build', 2000);
+    expect(checksum.refreshChecksum(deb)).to.be.equal(true);
+    expect(checksum.readChecksum(deb).hash).to.be.equal(checksum.hashFile(deb));
+  });
+
+  it('refreshChecksum with a mismatching md5sum', function () {
+    const deb = write('foo.deb', 'first build', 1000);
+    write('foo.deb.sha256', checksum.hashFile(deb), 2000);
+    write('foo.deb', 'second build', 1000);
+    write('foo.deb.md5sum', checksum.hashFile(deb, 'md5') + '  foo.deb', 2000);
+
+    expect(checksum.refreshChecksum(deb)).to.be.equal(true);
+    expect(checksum.verifyChecksum(deb).mismatches).to.be.deep.equal([]);
+  });
+
+  it('sameChecksum without sidecars', function () {
+    const foo = write('foo.deb', 'same', 1000);
+    const bar = write('bar.deb', 'same', 1000);
+    const baz = write('baz.deb', 'other', 1000);
+
+    expect(checksum.sameChecksum(foo, bar)).to.be.equal(true);
+    expect(checksum.sameChecksum(foo, baz)).to.be.equal(false);
+
+    checksum.writeChecksum(foo);
+    expect(checksum.sameChecksum(foo, baz)).to.be.equal(false);
+  });
+});
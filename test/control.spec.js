@@ -0,0 +1,48 @@
+'use strict';
+
+const {expect} = require('chai');
+const {parseControl, parseDepends} = require('../lib/control.js');
+
+describe('xcraft.wpkg.control', function () {
+  it('parseControl', function () {
+    const fields = parseControl(
+      'Package: foo\nVersion: 1.0\nDescription: short\n long\n .\n end\n\nPackage: bar\n'
+    );
+
+    expect(fields).to.be.deep.equal({
+      Package: 'foo',
+      Version: '1.0',
+      Description: 'short\nlong\n\nend',
+    });
+  });
+
+  it('parseDepends with relation', function () {
+    const [[foo]] = parseDepends('foo (>= 1.2.3)');
+
+    expect(foo.name).to.be.equal('foo');
+    expect(foo.version).to.be.deep.equal({relation: '>=', version: '1.2.3'});
+  });
+
+  it('parseDepends without relation', function () {
+    const [[foo], [bar]] = parseDepends('foo (1.2.3), bar(2.0) [amd64]');
+
+    expect(foo.version).to.be.deep.equal({relation: '=', version: '1.2.3'});
+    expect(bar.version).to.be.deep.equal({relation: '=', version: '2.0'});
+    expect(bar.architectures).to.be.deep.equal([
+      {name: 'amd64', negated: false},
+    ]);
+  });
+
+  it('parseDepends without version', function () {
+    const [[foo, baz]] = parseDepends('*ext@foo:any | baz <stable>');
+
+    expect(foo.external).to.be.equal('ext');
+    expect(foo.qualifier).to.be.equal('any');
+    expect(foo.version).to.be.equal(null);
+    expect(baz.distributions).to.be.deep.equal(['stable']);
+  });
+
+  it('parseDepends with an invalid version', function () {
+    expect(() => parseDepends('foo (>=)')).to.throw('invalid dependency');
+  });
+});
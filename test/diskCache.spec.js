@@ -0,0 +1,61 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {expect} = require('chai');
+const {tmpDir} = require('./fixtures/wpkg.js');
+const DiskCache = require('../lib/diskCache.js');
+
+describe('xcraft.wpkg.diskCache', function () {
+  /* Size of all entries on disk */
+  function sizeOf(root) {
+    let size = 0;
+    for (const key of fs.readdirSync(root)) {
+      for (const file of fs.readdirSync(path.join(root, key))) {
+        size += fs.statSync(path.join(root, key, file)).size;
+      }
+    }
+    return size;
+  }
+
+  it('eviction with the writes of two processes', function () {
+    const root = tmpDir('cache');
+    /* One instance by process, each one sees only its own writes */
+    const caches = [new DiskCache(root, 1000), new DiskCache(root, 1000)];
+    const value = 'x'.repeat(298); /* 300 bytes in JSON */
+
+    const write = (it) => {
+      const key = `key${it}`;
+      caches[it % 2].setJSON(key, 'value', value);
+      /* The entries are used in the order of their writes */
+      const time = new Date(2020, 0, 1, 0, 0, it);
+      fs.utimesSync(path.join(root, key), time, time);
+    };
+
+    for (let it = 0; it < 5; ++it) {
+      write(it);
+    }
+    /* Over the limit, but each running size is at most 900 bytes */
+    expect(sizeOf(root)).to.be.equal(1500);
+
+    write(5);
+    expect(sizeOf(root)).to.be.at.most(1000);
+    expect(fs.readdirSync(root).sort()).to.be.deep.equal([
+      'key3',
+      'key4',
+      'key5',
+    ]);
+    expect(caches[1].getJSON('key5', 'value')).to.be.equal(value);
+  });
+
+  it('no eviction without maximum size', function () {
+    const root = tmpDir('cache');
+    const cache = new DiskCache(root);
+
+    for (let it = 0; it < 4; ++it) {
+      cache.setJSON(`key${it}`, 'value', 'x'.repeat(1000));
+    }
+    expect(fs.readdirSync(root)).to.have.length(4);
+    expect(cache.clean()).to.be.deep.equal({entries: 4, size: 4008});
+  });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+/* Replace a module by a stub, before the first require of wpkg.js */
+function stub(name, exports) {
+  const file = require.resolve(name);
+  require.cache[file] = {id: file, filename: file, loaded: true, exports};
+}
+
+/* Root of the instance created by the last call of newWpkg */
+let root = os.tmpdir();
+
+const resp = {
+  log: {
+    verb: () => {},
+    info: () => {},
+    warn: () => {},
+    err: () => {},
+    dbg: () => {},
+  },
+  events: {send: () => {}},
+};
+
+/* Default settings of config.js, like xcraft-core-etc */
+function wpkgConfig() {
+  const config = {};
+  for (const {name, default: value} of require('../../config.js')) {
+    const keys = name.split('.');
+    const last = keys.pop();
+    let node = config;
+    for (const key of keys) {
+      node = node[key] = node[key] || {};
+    }
+    node[last] = value;
+  }
+  return config;
+}
+
+const configs = {
+  'xcraft': () => ({
+    xcraftRoot: root,
+    tempRoot: path.join(root, 'tmp'),
+    pkgDebRoot: path.join(root, 'repo'),
+    pkgTargetRoot: path.join(root, 'target'),
+  }),
+  'xcraft-contrib-pacman': () => ({
+    pkgIndex: 'index.tar.gz',
+    pkgToolchainRepository: 'toolchain/',
+    wpkgTemp: './var/tmp/',
+  }),
+  'xcraft-contrib-wpkg': wpkgConfig,
+};
+
+stub('xcraft-core-etc', () => ({load: (name) => configs[name]()}));
+stub('xcraft-contrib-pacman', {
+  getDebRoot: () => path.join(root, 'repo'),
+  getTargetRoot: () => path.join(root, 'target'),
+});
+
+const wpkg = require('../../wpkg.js');
+
+const tmpDirs = [];
+process.on('exit', () => {
+  for (const dir of tmpDirs) {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+});
+
+/**
+ * Create a temporary directory, removed at the end of the tests.
+ *
+ * @param {string} name - Prefix of the directory.
+ * @returns {string} the location of the new directory.
+ */
+function tmpDir(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `wpkg-${name}-`));
+  tmpDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Create a tar archive (ustar) of regular files.
+ *
+ * @param {object} files - Content of each file by name.
+ * @returns {Buffer} the archive.
+ */
+function tar(files) {
+  const blocks = [];
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const header = Buffer.alloc(512);
+    header.write(name, 0);
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+    header.write('00000000000\0', 136);
+    header.write(' '.repeat(8), 148);
+    header.write('0', 156);
+    header.write('ustar\x0000', 257);
+    const sum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+    const padding = Buffer.alloc((512 - (data.length % 512)) % 512);
+    blocks.push(header, data, padding);
+  }
+
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Write a wpkg repository index (a tar.gz of .ctrl files).
+ *
+ * @param {string} indexFile - Location of the index.
+ * @param {object} controls - Control fields of each package by file name (.deb).
+ */
+function writeIndex(indexFile, controls) {
+  const files = {};
+  for (const [deb, fields] of Object.entries(controls)) {
+    files[deb.replace(/\.deb$/, '.ctrl')] = Object.entries(fields)
+      .map(([field, value]) => `${field}: ${value}\n`)
+      .join('');
+  }
+  fs.mkdirSync(path.dirname(indexFile), {recursive: true});
+  fs.writeFileSync(indexFile, zlib.gzipSync(tar(files)));
+}
+
+/**
+ * Create a Wpkg instance whose xcraft root is a new temporary directory.
+ *
+ * The repository (repo), the target root (target) and the temporary
+ * directory (tmp) are in this root.
+ *
+ * @param {object} [options] - Options of the Wpkg constructor.
+ * @param {object} [config] - Settings merged in the module's config.
+ * @returns {object} the instance.
+ */
+function newWpkg(options, config) {
+  root = tmpDir('root');
+  for (const dir of ['repo', 'target', 'tmp']) {
+    fs.mkdirSync(path.join(root, dir));
+  }
+  if (config) {
+    const defaults = configs['xcraft-contrib-wpkg'];
+    configs['xcraft-contrib-wpkg'] = () => Object.assign(defaults(), config);
+    try {
+      return wpkg(resp, options);
+    } finally {
+      configs['xcraft-contrib-wpkg'] = defaults;
+    }
+  }
+  return wpkg(resp, options);
+}
+
+module.exports = {
+  Wpkg: wpkg.Wpkg,
+  resp,
+  stub,
+  tmpDir,
+  tar,
+  writeIndex,
+  newWpkg,
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {expect} = require('chai');
+const {newWpkg, tmpDir} = require('./fixtures/wpkg.js');
+const journal = require('../lib/journal.js');
+
+describe('xcraft.wpkg.journal', function () {
+  const arch = 'linux-amd64';
+
+  /* Write a package in the wpkg database of a target root */
+  function setPackage(root, name, version, status) {
+    const dir = path.join(root, 'var/lib/wpkg', name);
+    fs.mkdirSync(dir, {recursive: true});
+    fs.writeFileSync(
+      path.join(dir, 'control'),
+      `Package: ${name}\nVersion: ${version}\n`
+    );
+    fs.writeFileSync(path.join(dir, 'wpkg-status'), `X-Status: ${status}\n`);
+  }
+
+  it('diffState', function () {
+    const before = {
+      foo: {version: '1.0', status: 'installed', selection: 'normal'},
+      bar: {version: '1.0', status: 'installed', selection: 'normal'},
+    };
+    const after = {
+      foo: {version: '1.0', status: 'installed', selection: 'normal'},
+      baz: {version: '2.0', status: 'installed', selection: 'normal'},
+    };
+
+    expect(journal.diffState(before, after, ['foo'])).to.be.deep.equal([
+      {name: 'bar', before: before.bar, after: null},
+      {name: 'baz', before: null, after: after.baz},
+      {name: 'foo', before: before.foo, after: after.foo},
+    ]);
+  });
+
+  it('read a truncated line', function () {
+    const root = tmpDir('journal');
+    const file = journal.journalFile(root);
+    const entry = (operation) => ({
+      timestamp: new Date().toISOString(),
+      operation,
+      packages: [],
+      changes: [],
+    });
+
+    journal.append(root, entry('install'));
+    /* Interrupted write */
+    fs.appendFileSync(file, '{"timestamp":"2020-01-01T00:00:00.000Z","oper');
+    journal.append(root, entry('remove'));
+
+    const entries = journal.read(root);
+    expect(entries.map(({operation}) => operation)).to.be.deep.equal([
+      'install',
+      'remove',
+    ]);
+  });
+
+  describe('_withJournal', function () {
+    let wpkg;
+    let targetRoot;
+    let root;
+
+    beforeEach(function () {
+      wpkg = newWpkg();
+      targetRoot = path.join(wpkg._xcraftConfig.xcraftRoot, 'target');
+      root = path.join(targetRoot, arch);
+      setPackage(root, 'foo', '1.0', 'installed');
+    });
+
+    const run = (operation, details, fn) =>
+      new Promise((resolve) =>
+        wpkg._withJournal(operation, arch, targetRoot, details, fn, (err) =>
+          resolve(err)
+        )
+      );
+
+    it('successful operation', async function () {
+      await run('install', {packages: ['bar'], reinstall: false}, (cb) => {
+        setPackage(root, 'bar', '2.0', 'installed');
+        cb(null, 0);
+      });
+
+      const [entry] = wpkg.history(arch, null, {}, targetRoot);
+      expect(entry).to.include({operation: 'install', arch, code: 0});
+      expect(entry.args).to.be.deep.equal({reinstall: false});
+      expect(entry.changes).to.be.deep.equal([
+        {
+          name: 'bar',
+          before: null,
+          after: {version: '2.0', status: 'installed', selection: 'normal'},
+        },
+      ]);
+    });
+
+    it('interrupted operation', async function () {
+      const err = await run('upgrade', {}, (cb) => {
+        setPackage(root, 'foo', '2.0', 'half-installed');
+        const err = new Error('wpkg has been killed');
+        err.code = 1;
+        cb(err);
+      });
+      expect(err.message).to.be.equal('wpkg has been killed');
+
+      const entries = wpkg.history(arch, null, {failed: true}, targetRoot);
+      expect(entries).to.have.length(1);
+      expect(entries[0]).to.include({
+        operation: 'upgrade',
+        code: 1,
+        error: 'wpkg has been killed',
+      });
+      expect(entries[0].changes[0].after).to.include({
+        version: '2.0',
+        status: 'half-installed',
+      });
+    });
+
+    it('history with filters', async function () {
+      await run('install', {packages: ['bar']}, (cb) => cb(null, 0));
+      await run('remove', {packages: ['foo']}, (cb) => cb(null, 0));
+      await run('install', {packages: ['baz']}, (cb) => cb(null, 0));
+
+      const history = (filters) =>
+        wpkg
+          .history(arch, null, filters, targetRoot)
+          .map(({operation, packages}) => `${operation} ${packages}`);
+
+      expect(history({operation: 'install'})).to.be.deep.equal([
+        'install bar',
+        'install baz',
+      ]);
+      expect(history({package: 'foo'})).to.be.deep.equal(['remove foo']);
+      expect(history({limit: 1})).to.be.deep.equal(['install baz']);
+      expect(history({failed: true})).to.be.deep.equal([]);
+      expect(history({until: '2000-01-01'})).to.be.deep.equal([]);
+    });
+
+    it('disabled journal', async function () {
+      wpkg = newWpkg(null, {journal: {enabled: false}});
+      targetRoot = path.join(wpkg._xcraftConfig.xcraftRoot, 'target');
+
+      await run('install', {packages: ['bar']}, (cb) => cb(null, 0));
+      expect(wpkg.history(arch, null, {}, targetRoot)).to.be.deep.equal([]);
+    });
+  });
+});
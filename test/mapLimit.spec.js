@@ -0,0 +1,95 @@
+'use strict';
+
+const {expect} = require('chai');
+const MapLimit = require('../lib/mapLimit.js');
+
+describe('xcraft.wpkg.mapLimit', function () {
+  const now = Date.now;
+  let time;
+
+  beforeEach(function () {
+    time = 1000;
+    Date.now = () => time;
+  });
+
+  afterEach(function () {
+    Date.now = now;
+  });
+
+  it('least recently used eviction', function () {
+    const map = new MapLimit(3);
+    map.set('a', 1).set('b', 2).set('c', 3);
+
+    expect(map.get('a')).to.be.equal(1);
+    map.set('d', 4);
+    expect([...map.keys()]).to.be.deep.equal(['c', 'a', 'd']);
+
+    map.set('c', 30);
+    map.set('e', 5);
+    expect([...map.keys()]).to.be.deep.equal(['d', 'c', 'e']);
+  });
+
+  it('expiration of the entries', function () {
+    const map = new MapLimit(10, {ttl: 100});
+    map.set('a', 1);
+    time += 50;
+    map.set('b', 2);
+
+    time += 60;
+    expect(map.has('a')).to.be.equal(false);
+    expect(map.get('b')).to.be.equal(2);
+
+    time += 50;
+    expect(map.get('b')).to.be.equal(undefined);
+    expect(map.size).to.be.equal(0);
+  });
+
+  it('weight of the entries', function () {
+    const map = new MapLimit(10, {
+      maxWeight: 10,
+      weigh: (value) => value.length,
+    });
+    map.set('a', 'xxxx').set('b', 'xxxx');
+    map.set('c', 'xxxxxxx');
+
+    expect([...map.keys()]).to.be.deep.equal(['c']);
+    expect(map.stats().weight).to.be.equal(7);
+
+    /* A value heavier than the limit is kept alone */
+    map.set('d', 'x'.repeat(20));
+    expect([...map.keys()]).to.be.deep.equal(['d']);
+    expect(map.stats().weight).to.be.equal(20);
+  });
+
+  it('statistics', function () {
+    const map = new MapLimit(2, {ttl: 100});
+    map.set('a', 1).set('b', 2).set('c', 3);
+    map.get('b');
+    map.get('a');
+    time += 200;
+    map.get('c');
+
+    expect(map.stats()).to.be.deep.equal({
+      size: 1,
+      max: 2,
+      weight: 1,
+      maxWeight: 0,
+      hits: 1,
+      misses: 2,
+      evictions: 1,
+      expirations: 1,
+    });
+  });
+
+  it('deleteWhere', function () {
+    const map = new MapLimit(10);
+    map.set('a', {file: '/repo/a.deb'});
+    map.set('b', {file: '/other/b.deb'});
+    map.set('c', {file: '/repo/c.deb'});
+
+    const deleted = map.deleteWhere(({file}) => file.startsWith('/repo/'));
+    expect(deleted).to.be.equal(2);
+    expect([...map.keys()]).to.be.deep.equal(['b']);
+    expect(map.stats()).to.include({weight: 1, evictions: 0});
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const {expect} = require('chai');
+const {wrapOptions} = require('../lib/options.js');
+const {InvalidOptionsError} = require('../lib/errors.js');
+
+describe('xcraft.wpkg.options', function () {
+  let object;
+
+  beforeEach(function () {
+    object = {
+      install(packageName, arch, distribution, options, callback) {
+        callback(null, [packageName, arch, distribution, options]);
+      },
+      show(packageName, arch, version) {
+        return [packageName, arch, version];
+      },
+    };
+    wrapOptions(object, {
+      install: {
+        params: ['arch', 'distribution', ['dryRun', 'rollback']],
+        required: ['arch'],
+      },
+      show: {params: ['arch', 'version'], required: ['arch']},
+    });
+  });
+
+  const install = (...args) =>
+    new Promise((resolve) =>
+      object.install(...args, (err, res) => resolve(err || res))
+    );
+
+  it('positional and object calls', async function () {
+    expect(
+      await install('foo', 'amd64', 'stable', {dryRun: true})
+    ).to.be.deep.equal(['foo', 'amd64', 'stable', {dryRun: true}]);
+    expect(
+      await install('foo', {
+        arch: 'amd64',
+        distribution: 'stable',
+        dryRun: true,
+      })
+    ).to.be.deep.equal(['foo', 'amd64', 'stable', {dryRun: true}]);
+    expect(await install('foo', {arch: 'amd64'})).to.be.deep.equal([
+      'foo',
+      'amd64',
+      undefined,
+      undefined,
+    ]);
+
+    /* Without callback */
+    expect(object.show('foo', {arch: 'amd64'})).to.be.deep.equal([
+      'foo',
+      'amd64',
+      undefined,
+    ]);
+  });
+
+  it('unknown and missing keys', async function () {
+    const err = await install('foo', {arch: 'amd64', dryrun: true});
+    expect(err).to.be.an.instanceof(InvalidOptionsError);
+    expect(err).to.include({method: 'install', reason: 'unknown dryrun'});
+
+    expect(await install('foo', {distribution: 'stable'})).to.include({
+      reason: 'missing arch',
+    });
+    expect(() => object.show('foo', {arch: null})).to.throw(
+      InvalidOptionsError,
+      'invalid options for show: missing arch'
+    );
+  });
+
+  it('arguments which are not an options object', async function () {
+    /* Only a plain object is an options object, the rest is positional */
+    for (const arch of ['amd64', ['amd64'], new Date(0), null, undefined]) {
+      expect(object.show('foo', arch, '1.0'), `${arch}`).to.be.deep.equal([
+        'foo',
+        arch,
+        '1.0',
+      ]);
+    }
+
+    class Arch {}
+    const arch = new Arch();
+    expect(await install('foo', arch, 'stable', undefined)).to.be.deep.equal([
+      'foo',
+      arch,
+      'stable',
+      undefined,
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const {expect} = require('chai');
+const Progress = require('../lib/progress.js');
+
+describe('xcraft.wpkg.progress', function () {
+  const esc = String.fromCharCode(0x1b);
+
+  /* Events of the parsed lines (without the command) */
+  function parse(...lines) {
+    const events = [];
+    const progress = new Progress('build', ({command, ...event}) =>
+      events.push(event)
+    );
+    progress.begin();
+    lines.forEach((line) => progress.parse(line));
+    progress.end(0);
+    return events.slice(1, -1);
+  }
+
+  it('steps and percentages of wpkg', function () {
+    expect(
+      parse(
+        'wpkg:info: unpacking package "foo"',
+        'wpkg:info: copying "usr/bin/foo" to "/root/usr/bin/foo"',
+        'wpkg:info: 42.5% done',
+        'wpkg:info: 42% done'
+      )
+    ).to.be.deep.equal([
+      {step: 'unpacking', package: 'foo'},
+      {step: 'file', package: 'foo', file: 'usr/bin/foo'},
+      {step: 'progress', package: 'foo', percent: 42},
+    ]);
+  });
+
+  it('coloured lines of the build tools', function () {
+    expect(
+      parse(
+        `wpkg:info: ${esc}[1mbuilding${esc}[0m package foo-src`,
+        `${esc}[32m[ 10%]${esc}[0m Building C object foo.c.o`,
+        `${esc}[0;32m[3/4]${esc}[0m Linking foo`
+      )
+    ).to.be.deep.equal([
+      {step: 'building', package: 'foo-src'},
+      {step: 'progress', package: 'foo-src', percent: 10},
+      {step: 'progress', package: 'foo-src', percent: 75},
+    ]);
+  });
+
+  it('percentage outside of the wpkg lines', function () {
+    expect(
+      parse(
+        'wpkg:info: building package foo-src',
+        'compress 50% of the sources',
+        '-- coverage: 100% ',
+        'wpkg_static:info: 20% done'
+      )
+    ).to.be.deep.equal([
+      {step: 'building', package: 'foo-src'},
+      {step: 'progress', package: 'foo-src', percent: 20},
+    ]);
+  });
+
+  it('begin and end', function () {
+    const events = [];
+    const progress = new Progress('install', (event) => events.push(event));
+    progress.begin();
+    progress.end();
+
+    expect(events).to.be.deep.equal([
+      {command: 'install', step: 'begin'},
+      {command: 'install', step: 'end', code: null},
+    ]);
+  });
+});
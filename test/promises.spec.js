@@ -0,0 +1,105 @@
+'use strict';
+
+const {expect} = require('chai');
+const {Wpkg} = require('../wpkg.js');
+const {promises} = require('../lib/promises.js');
+
+/* Names of the parameters of a method (without the default values) */
+function parameters(method) {
+  const [, list] = method.toString().match(/^[^(]*\(([^)]*)\)/);
+  return list
+    .split(',')
+    .map((param) => param.split('=')[0].trim())
+    .filter((param) => param);
+}
+
+describe('xcraft.wpkg.promises', function () {
+  const names = Object.getOwnPropertyNames(Wpkg.prototype).filter(
+    (name) => name !== 'constructor' && !name.startsWith('_')
+  );
+
+  /* Stub the methods in order to keep the arguments of each call */
+  const calls = {};
+  const wpkg = Object.create(Wpkg.prototype);
+  for (const name of names) {
+    wpkg[name] = (...args) => {
+      calls[name] = args;
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') {
+        callback(null, name);
+        return;
+      }
+      return name;
+    };
+  }
+
+  const facade = promises(wpkg);
+
+  it('callback as last parameter', function () {
+    for (const name of names) {
+      const method = Wpkg.prototype[name];
+      if (method.constructor.name !== 'GeneratorFunction') {
+        continue;
+      }
+      expect(parameters(method).pop(), name).to.be.equal('next');
+    }
+  });
+
+  it('without the optional arguments', async function () {
+    for (const name of names) {
+      const method = Wpkg.prototype[name];
+      const result = await facade[name]('first');
+      expect(result, name).to.be.equal(name);
+
+      const args = calls[name];
+      if (typeof args[args.length - 1] !== 'function') {
+        /* Synchronous method */
+        expect(args, name).to.be.deep.equal(['first']);
+        continue;
+      }
+
+      expect(args, name).to.have.length(method.length);
+      expect(args[0], name).to.be.equal('first');
+      expect(
+        args.slice(0, -1).some((arg) => typeof arg === 'function'),
+        name
+      ).to.be.equal(false);
+    }
+  });
+
+  it('callback methods found by their last parameter', async function () {
+    class Foo {
+      bar(value, option, callback) {
+        callback(null, [value, option]);
+      }
+
+      baz(value, option) {
+        return [value, option];
+      }
+    }
+
+    const foo = promises(new Foo());
+    expect(await foo.bar('first')).to.be.deep.equal(['first', undefined]);
+    expect(await foo.baz('first')).to.be.deep.equal(['first', undefined]);
+  });
+
+  it('show without version and distribution', async function () {
+    await facade.show('app', 'linux-amd64');
+
+    const [packageName, arch, version, distribution, next] = calls.show;
+    expect(packageName).to.be.equal('app');
+    expect(arch).to.be.equal('linux-amd64');
+    expect(version).to.be.equal(undefined);
+    expect(distribution).to.be.equal(undefined);
+    expect(next).to.be.a('function');
+  });
+
+  it('resolveInstallPlan without distribution and target root', async function () {
+    await facade.resolveInstallPlan('app', 'linux-amd64');
+
+    const [, , distribution, targetRoot, next] = calls.resolveInstallPlan;
+    expect(distribution).to.be.equal(undefined);
+    expect(targetRoot).to.be.equal(undefined);
+    expect(next).to.be.a('function');
+  });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const {expect} = require('chai');
+const {newWpkg, tar, tmpDir, writeIndex} = require('./fixtures/wpkg.js');
+const {readIndex} = require('../lib/repoIndex.js');
+
+describe('xcraft.wpkg.repoIndex', function () {
+  const arch = 'linux-amd64';
+
+  /* Index of the foo package (and bar when a version is passed) */
+  function fooIndex(indexFile, version, barVersion) {
+    const controls = {
+      [`toolchain/foo_${version}_${arch}.deb`]: {
+        Package: 'foo',
+        Version: version,
+        Architecture: arch,
+        Distribution: 'toolchain',
+      },
+    };
+    if (barVersion) {
+      controls[`toolchain/bar_${barVersion}_${arch}.deb`] = {
+        Package: 'bar',
+        Version: barVersion,
+        Architecture: arch,
+      };
+    }
+    writeIndex(indexFile, controls);
+  }
+
+  it('readIndex', function () {
+    const indexFile = path.join(tmpDir('index'), 'index.tar.gz');
+    fs.writeFileSync(
+      indexFile,
+      zlib.gzipSync(
+        tar({
+          'toolchain/foo_1.0_linux-amd64.ctrl':
+            'Package: foo\nVersion: 1.0\nArchitecture: linux-amd64\nDistribution: toolchain\nDepends: bar (>= 2.0)\n',
+          'toolchain/README': 'not a control file',
+        })
+      )
+    );
+
+    expect(readIndex(indexFile)).to.be.deep.equal({
+      'toolchain/foo_1.0_linux-amd64.ctrl': {
+        name: 'foo',
+        version: '1.0',
+        architecture: 'linux-amd64',
+        distribution: 'toolchain',
+        control: {
+          Package: 'foo',
+          Version: '1.0',
+          Architecture: 'linux-amd64',
+          Distribution: 'toolchain',
+          Depends: 'bar (>= 2.0)',
+        },
+      },
+    });
+  });
+
+  describe('listIndexPackages', function () {
+    let wpkg;
+    let repository;
+    let indexFile;
+    let cachePath;
+
+    beforeEach(function () {
+      wpkg = newWpkg();
+      const root = wpkg._xcraftConfig.xcraftRoot;
+      repository = path.join(root, 'repo');
+      indexFile = path.join(repository, 'index.tar.gz');
+      cachePath = path.join(root, 'var/wpkg@cache');
+    });
+
+    const list = () =>
+      new Promise((resolve, reject) =>
+        wpkg.listIndexPackages(
+          [repository],
+          arch,
+          {},
+          {greater: true},
+          (err, list) => (err ? reject(err) : resolve(list[repository]))
+        )
+      );
+
+    const hashOf = (file) =>
+      crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+
+    it('result cached on disk by index content', async function () {
+      fooIndex(indexFile, '1.0');
+      const packages = await list();
+
+      expect(packages.foo).to.include({
+        name: 'foo',
+        version: '1.0',
+        file: `toolchain/foo_1.0_${arch}.deb`,
+      });
+      const cached = JSON.parse(
+        fs.readFileSync(path.join(cachePath, hashOf(indexFile), 'index.json'))
+      );
+      expect(Object.keys(cached)).to.be.deep.equal([
+        `toolchain/foo_1.0_${arch}.ctrl`,
+      ]);
+    });
+
+    it('result parsed by an other process', async function () {
+      /* The index is never read when its result is in the disk cache */
+      fooIndex(indexFile, '1.1');
+      const entry = path.join(cachePath, hashOf(indexFile));
+      fs.mkdirSync(entry, {recursive: true});
+      fs.writeFileSync(
+        path.join(entry, 'index.json'),
+        JSON.stringify({
+          [`toolchain/foo_9.9_${arch}.ctrl`]: {
+            name: 'foo',
+            version: '9.9',
+            architecture: arch,
+            control: {Package: 'foo', Version: '9.9'},
+          },
+        })
+      );
+
+      expect((await list()).foo.version).to.be.equal('9.9');
+    });
+
+    it('no stale result after a change of the index', async function () {
+      fooIndex(indexFile, '1.2');
+      expect((await list()).foo.version).to.be.equal('1.2');
+      const first = hashOf(indexFile);
+
+      /* The repository is rebuilt with a new version and a new package */
+      fooIndex(indexFile, '1.3', '2.0');
+      const packages = await list();
+      expect(packages.foo.version).to.be.equal('1.3');
+      expect(packages.bar.version).to.be.equal('2.0');
+
+      expect(fs.readdirSync(cachePath)).to.have.members([
+        first,
+        hashOf(indexFile),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {expect} = require('chai');
+const {newWpkg, writeIndex} = require('./fixtures/wpkg.js');
+
+describe('xcraft.wpkg.resolver', function () {
+  const arch = 'linux-amd64';
+  let wpkg;
+  let root;
+
+  /* Control fields of the packages of the index */
+  const index = {
+    app: ['1.0', 'lib (>= 2.0), ui | gui'],
+    lib: ['2.1', ''],
+    gui: ['1.0', 'lib'],
+    a: ['1.0', 'b'],
+    b: ['1.0', 'a (= 1.0)'],
+    bad: ['1.0', 'lib (>= 3.0)'],
+    new: ['1.0', 'lib (<< 2.0) | old'],
+  };
+
+  beforeEach(function () {
+    wpkg = newWpkg();
+    root = wpkg._xcraftConfig.xcraftRoot;
+
+    const controls = {};
+    for (const [name, [version, depends]] of Object.entries(index)) {
+      controls[`toolchain/${name}_${version}_${arch}.deb`] = {
+        Package: name,
+        Version: version,
+        Architecture: arch,
+        ...(depends ? {Depends: depends} : {}),
+      };
+    }
+    /* Only the greatest version is considered */
+    controls[`toolchain/lib_1.5_${arch}.deb`] = {
+      Package: 'lib',
+      Version: '1.5',
+      Architecture: arch,
+    };
+    writeIndex(path.join(root, 'repo', 'index.tar.gz'), controls);
+  });
+
+  /* Install a package in the wpkg database of the target root */
+  function setInstalled(name, version) {
+    const dir = path.join(root, 'target', arch, 'var/lib/wpkg', name);
+    fs.mkdirSync(dir, {recursive: true});
+    fs.writeFileSync(
+      path.join(dir, 'control'),
+      `Package: ${name}\nVersion: ${version}\n`
+    );
+  }
+
+  const resolve = (packageName) =>
+    new Promise((resolve, reject) =>
+      wpkg.resolveInstallPlan(packageName, arch, null, null, (err, plan) =>
+        err ? reject(err) : resolve(plan)
+      )
+    );
+
+  const actions = (plan) =>
+    plan.packages.map(
+      ({name, version, action}) => `${action} ${name} ${version}`
+    );
+
+  it('version constraints and alternatives', async function () {
+    const plan = await resolve('app');
+
+    expect(actions(plan)).to.be.deep.equal([
+      'install lib 2.1',
+      'install gui 1.0',
+      'install app 1.0',
+    ]);
+    expect(plan.packages[0]).to.include({
+      requiredBy: 'app',
+      file: path.join(root, 'repo', `toolchain/lib_2.1_${arch}.deb`),
+    });
+    expect(plan.missing).to.be.deep.equal([]);
+    expect(plan.conflicts).to.be.deep.equal([]);
+  });
+
+  it('installed packages', async function () {
+    setInstalled('lib', '2.0');
+    setInstalled('app', '0.9');
+
+    const plan = await resolve('app');
+    expect(actions(plan)).to.be.deep.equal([
+      'skip lib 2.0',
+      'install gui 1.0',
+      'upgrade app 1.0',
+    ]);
+  });
+
+  it('cycle', async function () {
+    const plan = await resolve('a');
+
+    expect(actions(plan)).to.be.deep.equal(['install b 1.0', 'install a 1.0']);
+    expect(plan.missing).to.be.deep.equal([]);
+    expect(plan.conflicts).to.be.deep.equal([]);
+  });
+
+  it('unsatisfiable dependencies', async function () {
+    const plan = await resolve('bad');
+
+    expect(plan.missing).to.be.deep.equal([
+      {
+        name: 'lib',
+        constraint: {relation: '>=', version: '3.0'},
+        availableVersion: '2.1',
+        requiredBy: 'bad',
+      },
+    ]);
+
+    /* No alternative can be satisfied, the first one is reported */
+    const other = await resolve('new');
+    expect(other.missing).to.have.length(1);
+    expect(other.missing[0]).to.include({name: 'lib', availableVersion: '2.1'});
+
+    expect((await resolve('unknown')).missing).to.be.deep.equal([
+      {
+        name: 'unknown',
+        constraint: null,
+        availableVersion: null,
+        requiredBy: null,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const path = require('path');
+const {expect} = require('chai');
+const {newWpkg} = require('./fixtures/wpkg.js');
+
+describe('xcraft.wpkg.setSelection', function () {
+  const arch = 'linux-amd64';
+  let wpkg;
+  let calls;
+
+  beforeEach(function () {
+    wpkg = newWpkg();
+    calls = [];
+    wpkg._wpkgBin = (targetRoot) => ({
+      setSelection: (packageName, arch, selection, callback) => {
+        calls.push({targetRoot, packageName, arch, selection});
+        setImmediate(() => callback(null, 0));
+      },
+    });
+  });
+
+  it('callback in place of the distribution', async function () {
+    const callbacks = [];
+    await new Promise((resolve) =>
+      wpkg.setSelection('foo', arch, 'hold', (...args) => {
+        callbacks.push(args);
+        resolve();
+      })
+    );
+
+    expect(callbacks).to.have.length(1);
+    expect(callbacks[0][0]).to.be.equal(null);
+    const targetRoot = path.join(wpkg._xcraftConfig.xcraftRoot, 'target');
+    expect(calls).to.be.deep.equal([
+      {targetRoot, packageName: 'foo', arch, selection: 'hold'},
+    ]);
+
+    const [entry] = wpkg.history(arch, null, {}, targetRoot);
+    expect(entry).to.include({operation: 'setSelection', code: 0});
+    expect(entry.args).to.be.deep.equal({selection: 'hold'});
+  });
+
+  it('with the distribution', async function () {
+    await new Promise((resolve, reject) =>
+      wpkg.setSelection('foo', arch, 'reject', 'toolchain/', (err) =>
+        err ? reject(err) : resolve()
+      )
+    );
+
+    expect(calls.map(({selection}) => selection)).to.be.deep.equal(['reject']);
+  });
+
+  it('promise without the distribution', async function () {
+    const {promises} = require('../lib/promises.js');
+    await promises(wpkg).setSelection('foo', arch, 'normal');
+
+    expect(calls.map(({selection}) => selection)).to.be.deep.equal(['normal']);
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {expect} = require('chai');
+const {newWpkg, tmpDir} = require('./fixtures/wpkg.js');
+const signature = require('../lib/signature.js');
+const {SignatureError} = require('../lib/errors.js');
+
+describe('xcraft.wpkg.signature', function () {
+  let dir;
+  let keysPath;
+  let privateKey;
+
+  beforeEach(function () {
+    dir = tmpDir('signature');
+    keysPath = path.join(dir, 'keys');
+    privateKey = path.join(dir, 'private.pem');
+    fs.mkdirSync(keysPath);
+
+    const keys = crypto.generateKeyPairSync('ed25519');
+    const pem = (key, type) => key.export({type, format: 'pem'});
+    fs.writeFileSync(privateKey, pem(keys.privateKey, 'pkcs8'));
+    fs.writeFileSync(
+      path.join(keysPath, 'trusted.pem'),
+      pem(keys.publicKey, 'spki')
+    );
+  });
+
+  /* Write and sign a file */
+  function signed(name) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, name);
+    signature.sign(file, privateKey);
+    return file;
+  }
+
+  it('sign and verify', function () {
+    const file = signed('foo_1.0_amd64.deb');
+    const publicKeys = signature.loadPublicKeys(keysPath);
+
+    expect(fs.existsSync(file + signature.extension)).to.be.equal(true);
+    expect(signature.verify(file, publicKeys)).to.be.equal(true);
+  });
+
+  it('verify a tampered file', function () {
+    const file = signed('foo_1.0_amd64.deb');
+    fs.appendFileSync(file, 'tampered');
+
+    const publicKeys = signature.loadPublicKeys(keysPath);
+    expect(signature.verify(file, publicKeys)).to.be.equal(false);
+  });
+
+  it('verify without signature or without trusted key', function () {
+    const file = path.join(dir, 'foo_1.0_amd64.deb');
+    fs.writeFileSync(file, 'unsigned');
+    const publicKeys = signature.loadPublicKeys(keysPath);
+    expect(signature.verify(file, publicKeys)).to.be.equal(false);
+
+    const other = signed('bar_1.0_amd64.deb');
+    const missing = signature.loadPublicKeys(path.join(dir, 'missing'));
+    expect(missing).to.be.deep.equal([]);
+    expect(signature.verify(other, missing)).to.be.equal(false);
+  });
+
+  it('sign without private key', function () {
+    const file = path.join(dir, 'foo_1.0_amd64.deb');
+    fs.writeFileSync(file, 'foo');
+    expect(() => signature.sign(file, path.join(dir, 'missing.pem'))).to.throw(
+      /ENOENT/
+    );
+  });
+
+  describe('_verifySignatures', function () {
+    const config = (repositories) => ({
+      signature: {privateKey: '', publicKeys: keysPath, repositories},
+    });
+
+    it('signed package and index', function () {
+      const wpkg = newWpkg(null, config(['*']));
+      const deb = {
+        repository: dir,
+        index: signed('index.tar.gz'),
+        file: signed('foo_1.0_amd64.deb'),
+      };
+
+      expect(() => wpkg._verifySignatures(deb)).to.not.throw();
+    });
+
+    it('tampered package', function () {
+      const wpkg = newWpkg(null, config([dir]));
+      const deb = {
+        repository: dir,
+        index: signed('index.tar.gz'),
+        file: signed('foo_1.0_amd64.deb'),
+      };
+      fs.appendFileSync(deb.file, 'tampered');
+
+      expect(() => wpkg._verifySignatures(deb))
+        .to.throw(SignatureError)
+        .with.property('file', deb.file);
+    });
+
+    it('missing trusted key', function () {
+      const wpkg = newWpkg(null, config(['*']));
+      fs.rmSync(keysPath, {recursive: true});
+      const deb = {
+        repository: dir,
+        index: signed('index.tar.gz'),
+        file: signed('foo_1.0_amd64.deb'),
+      };
+
+      expect(() => wpkg._verifySignatures(deb))
+        .to.throw(SignatureError)
+        .with.property('file', deb.index);
+    });
+
+    it('repository without signatures', function () {
+      const wpkg = newWpkg(null, config([path.join(dir, 'other')]));
+      const deb = {
+        repository: dir,
+        index: path.join(dir, 'index.tar.gz'),
+        file: path.join(dir, 'foo_1.0_amd64.deb'),
+      };
+
+      expect(() => wpkg._verifySignatures(deb)).to.not.throw();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {expect} = require('chai');
+const {newWpkg} = require('./fixtures/wpkg.js');
+
+describe('xcraft.wpkg.snapshot', function () {
+  const arch = 'linux-amd64';
+  let wpkg;
+  let targetRoot;
+  let file;
+
+  beforeEach(function () {
+    wpkg = newWpkg();
+    targetRoot = path.join(wpkg._xcraftConfig.xcraftRoot, 'target');
+    file = path.join(targetRoot, arch, 'usr/share/foo');
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+  });
+
+  it('two snapshots in the same millisecond', function () {
+    /* The date of both snapshots is the same */
+    const RealDate = Date;
+    global.Date = class extends RealDate {
+      constructor(...args) {
+        super(...(args.length ? args : [1000]));
+      }
+    };
+    let ids;
+    try {
+      fs.writeFileSync(file, 'first');
+      ids = [wpkg.snapshot(arch, null, targetRoot)];
+      fs.writeFileSync(file, 'second');
+      ids.push(wpkg.snapshot(arch, null, targetRoot));
+    } finally {
+      global.Date = RealDate;
+    }
+
+    expect(ids[0]).to.not.be.equal(ids[1]);
+    expect(
+      wpkg.listSnapshots(arch, null, targetRoot).map(({id}) => id)
+    ).to.have.members(ids);
+
+    fs.writeFileSync(file, 'third');
+    wpkg.rollback(arch, null, ids[0], targetRoot);
+    expect(fs.readFileSync(file, 'utf8')).to.be.equal('first');
+    wpkg.rollback(arch, null, ids[1], targetRoot);
+    expect(fs.readFileSync(file, 'utf8')).to.be.equal('second');
+
+    wpkg.removeSnapshot(arch, null, ids[0], targetRoot);
+    expect(
+      wpkg.listSnapshots(arch, null, targetRoot).map(({id}) => id)
+    ).to.be.deep.equal([ids[1]]);
+  });
+
+  it('rollback keeps the journal', function () {
+    const journalFile = path.join(
+      targetRoot,
+      arch,
+      'var/lib/wpkg/core/journal.jsonl'
+    );
+    const id = wpkg.snapshot(arch, null, targetRoot);
+    fs.mkdirSync(path.dirname(journalFile), {recursive: true});
+    fs.writeFileSync(journalFile, '{}\n');
+
+    wpkg.rollback(arch, null, id, targetRoot);
+    expect(fs.readFileSync(journalFile, 'utf8')).to.be.equal('{}\n');
+  });
+
+  it('rollback to an unknown snapshot', function () {
+    expect(() => wpkg.rollback(arch, null, 'unknown', targetRoot)).to.throw(
+      'the snapshot unknown does not exist'
+    );
+  });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {expect} = require('chai');
+const {newWpkg, writeIndex} = require('./fixtures/wpkg.js');
+const checksum = require('../lib/checksum.js');
+
+describe('xcraft.wpkg.verifyArchives', function () {
+  let wpkg;
+  let archivesPath;
+  let indexed;
+
+  /* Archive a version of foo, maybe without checksum and index entry */
+  function archive(version, {sha256, index}) {
+    const dir = path.join(archivesPath, 'foo', version);
+    const deb = path.join(dir, `foo_${version}_amd64.deb`);
+    fs.mkdirSync(dir, {recursive: true});
+    fs.writeFileSync(deb, version);
+    if (sha256) {
+      checksum.writeChecksum(deb);
+    }
+    writeIndex(
+      path.join(dir, 'index.tar.gz'),
+      index ? {[path.basename(deb)]: {Package: 'foo', Version: version}} : {}
+    );
+    return deb;
+  }
+
+  const verify = (options) =>
+    new Promise((resolve, reject) =>
+      wpkg.verifyArchives(null, options, (err, report) =>
+        err ? reject(err) : resolve(report)
+      )
+    );
+
+  beforeEach(function () {
+    wpkg = newWpkg();
+    const repository = path.join(wpkg._xcraftConfig.xcraftRoot, 'repo');
+    archivesPath = wpkg.getArchivesPath(repository, 'toolchain/');
+
+    /* wpkg --create-index is replaced by the index of all .deb */
+    indexed = [];
+    wpkg._wpkgBin = () => ({
+      createIndex: async (repositoryPath, pkgIndex) => {
+        indexed.push(repositoryPath);
+        const controls = {};
+        for (const deb of fs.readdirSync(repositoryPath)) {
+          if (deb.endsWith('.deb')) {
+            controls[deb] = {Package: 'foo'};
+          }
+        }
+        writeIndex(path.join(repositoryPath, pkgIndex), controls);
+      },
+    });
+
+    archive('1.0-1', {sha256: true, index: true});
+    fs.writeFileSync(
+      path.join(archivesPath, 'foo', 'index.json'),
+      JSON.stringify({
+        '1.0': {latest: '1.0-2', versions: ['1.0-1', '1.0-2']},
+        'latest': '1.0',
+      })
+    );
+  });
+
+  it('checksum-missing and wpkg-index', async function () {
+    const deb = archive('1.0-2', {sha256: false, index: false});
+
+    const report = await verify();
+    expect(report).to.include({packages: 1, versions: 2});
+    expect(report.problems).to.be.deep.equal([
+      {
+        type: 'checksum-missing',
+        name: 'foo',
+        version: '1.0-2',
+        file: deb,
+        repaired: false,
+      },
+      {
+        type: 'wpkg-index',
+        name: 'foo',
+        version: '1.0-2',
+        file: path.join(path.dirname(deb), 'index.tar.gz'),
+        repaired: false,
+      },
+    ]);
+    expect(fs.existsSync(deb + '.sha256')).to.be.equal(false);
+    expect(indexed).to.be.deep.equal([]);
+  });
+
+  it('repair', async function () {
+    const deb = archive('1.0-2', {sha256: false, index: false});
+
+    const report = await verify({repair: true});
+    expect(report.problems.map(({type}) => type)).to.be.deep.equal([
+      'checksum-missing',
+      'wpkg-index',
+    ]);
+    expect(report.problems.every(({repaired}) => repaired)).to.be.equal(true);
+    expect(checksum.readChecksum(deb).hash).to.be.equal(checksum.hashFile(deb));
+    expect(indexed).to.be.deep.equal([path.dirname(deb)]);
+
+    expect((await verify()).problems).to.be.deep.equal([]);
+  });
+
+  it('checksum-mismatch is never repaired', async function () {
+    const deb = archive('1.0-2', {sha256: true, index: true});
+    fs.appendFileSync(deb, 'tampered');
+
+    const report = await verify({repair: true});
+    expect(report.problems).to.have.length(1);
+    expect(report.problems[0]).to.include({
+      type: 'checksum-mismatch',
+      file: deb,
+      repaired: false,
+    });
+  });
+});
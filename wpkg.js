@@ -9,8 +9,32 @@ const xPacman = require('xcraft-contrib-pacman');
 
 const WpkgBin = require('./lib/bin.js');
 const MapLimit = require('./lib/mapLimit.js');
+const DiskCache = require('./lib/diskCache.js');
 const {getToolchainArch} = require('xcraft-core-platform');
 const debversion = require('wpkg-debversion');
+const {readControl} = require('./lib/deb.js');
+const {parseDepends} = require('./lib/control.js');
+const {readInstalled} = require('./lib/admindir.js');
+const journal = require('./lib/journal.js');
+const {readIndex} = require('./lib/repoIndex.js');
+const checksum = require('./lib/checksum.js');
+const signature = require('./lib/signature.js');
+const {isRemote, download} = require('./lib/http.js');
+const {isOptions, wrapOptions} = require('./lib/options.js');
+const {promises} = require('./lib/promises.js');
+const {currentOperation, wrapOperations} = require('./lib/abort.js');
+const errors = require('./lib/errors.js');
+const {
+  PackageNotFoundError,
+  NothingToBuildError,
+  InvalidOptionsError,
+  ChecksumError,
+  SignatureError,
+  DependencyCycleError,
+} = errors;
+
+/* Files which follow the packages (checksums and signature) */
+const sidecars = [...checksum.sidecars, signature.extension];
 
 /**
  * Extract the max version by using wpkg.
@@ -35,21 +59,145 @@ function* maxVersion(versions) {
 
   return maxVersion;
 }
+
+/**
+ * Sort versions from the newest to the oldest by using wpkg.
+ *
+ * @yields
+ * @param {string[]} versions - List of versions.
+ * @returns {string[]} the sorted versions.
+ */
+function* sortVersions(versions) {
+  const sorted = [];
+
+  for (const version of versions) {
+    let it = 0;
+    while (it < sorted.length && (yield debversion(version, sorted[it])) < 0) {
+      ++it;
+    }
+    sorted.splice(it, 0, version);
+  }
+
+  return sorted;
+}
+
+/**
+ * Check if a version satisfies a dependency version relation.
+ *
+ * @yields
+ * @param {string} version - Version to check.
+ * @param {object} [constraint] - Relation and version (see parseDepends).
+ * @returns {boolean} true if satisfied.
+ */
+function* satisfies(version, constraint) {
+  if (!constraint) {
+    return true;
+  }
+
+  const comp = yield debversion(version, constraint.version);
+  switch (constraint.relation) {
+    case '<<':
+      return comp < 0;
+    case '<':
+    case '<=':
+      return comp <= 0;
+    case '=':
+      return comp === 0;
+    case '>':
+    case '>=':
+      return comp >= 0;
+    case '>>':
+      return comp > 0;
+  }
+
+  return false;
+}
+
+/**
+ * Check if a dependency is relevant for an architecture.
+ *
+ * @param {object} depend - Dependency (see parseDepends).
+ * @param {string} arch - Architecture.
+ * @returns {boolean} true if the dependency applies.
+ */
+function archMatches(depend, arch) {
+  if (!depend.architectures.length) {
+    return true;
+  }
+
+  const negated = depend.architectures.some(({negated}) => negated);
+  const found = depend.architectures.some(({name}) => name === arch);
+  return negated ? !found : found;
+}
+
+/* Options-object form of the methods (see wrapOptions) */
+const optionsSignatures = {
+  buildFromSrc: {
+    params: ['arch', 'repository', 'distribution'],
+  },
+  install: {
+    params: [
+      'arch',
+      'distribution',
+      'targetRoot',
+      'reinstall',
+      ['dryRun', 'rollback', 'verify'],
+    ],
+    required: ['arch'],
+  },
+  installByName: {
+    params: ['arch', 'distribution', 'targetRoot', 'reinstall'],
+    required: ['arch'],
+  },
+  installFromArchive: {
+    params: ['arch', 'distribution', 'version', 'targetRoot', 'reinstall'],
+    required: ['arch', 'version'],
+  },
+  isPublished: {
+    params: ['version', 'arch', 'distribution', 'repository'],
+  },
+  publish: {
+    params: ['arch', 'inputRepository', 'outputRepository', 'distribution'],
+  },
+  remove: {
+    params: ['arch', 'distribution', 'recursive', ['dryRun']],
+    required: ['arch'],
+  },
+  resolveInstallPlan: {
+    params: ['arch', 'distribution', 'targetRoot'],
+    required: ['arch'],
+  },
+  unpublish: {
+    params: ['arch', 'repository', 'distribution', 'updateIndex'],
+  },
+};
+
 class Wpkg {
   static #showCache = new MapLimit(100);
 
-  constructor(resp) {
+  /**
+   * @param {object} resp - Response handler.
+   * @param {object} [options] - Abort signal (signal) and timeout in ms (timeout) of each operation, progress callback (onProgress).
+   */
+  constructor(resp, options) {
     this._resp = resp;
+    this._abort = {signal: options?.signal, timeout: options?.timeout};
+    this._onProgress = options?.onProgress;
 
     const xEtc = require('xcraft-core-etc')(null, this._resp);
     this._xcraftConfig = xEtc.load('xcraft');
     this._pacmanConfig = xEtc.load('xcraft-contrib-pacman');
+    this._wpkgConfig = xEtc.load('xcraft-contrib-wpkg');
+    this._cache = DiskCache.fromConfig(this._xcraftConfig, this._wpkgConfig);
 
     watt.wrapAll(
       this,
       'addSources',
       'autoremove',
+      'buildManyFromSrc',
       'copyFromArchiving',
+      'dryRunInstall',
+      'dryRunUpgrade',
       'getDebLocation',
       'graph',
       'installFromArchive',
@@ -57,14 +205,54 @@ class Wpkg {
       'isV1Greater',
       'listIndexPackages',
       'moveArchive',
+      'pruneArchives',
+      'verifyArchives',
       'removeSources',
+      'resolveInstallPlan',
       'setSelection',
       'show',
       'syncRepository',
       '_archiving',
+      '_buildOneFromSrc',
+      '_downloadPackage',
+      '_lookForPackage',
+      '_mirrorRepository',
       '_moveToArchiving',
       '_syncRepository'
     );
+    wrapOptions(this, optionsSignatures);
+    wrapOperations(
+      this,
+      Object.getOwnPropertyNames(Wpkg.prototype).filter(
+        (name) => name !== 'constructor' && !name.startsWith('_')
+      ),
+      this._abort
+    );
+  }
+
+  /* Abort settings of the running operation (see wrapOperations) */
+  _operation() {
+    return currentOperation() || this._abort;
+  }
+
+  /**
+   * Create a wpkg wrapper which is cancelled with the running operation and
+   * which reports its progress.
+   *
+   * @param {string} [targetRoot] - Package target root.
+   * @param {object} [env] - Environment variables.
+   * @param {string} [tmp] - Temporary directory.
+   * @returns {WpkgBin} the wrapper.
+   */
+  _wpkgBin(targetRoot, env, tmp) {
+    return new WpkgBin(
+      this._resp,
+      targetRoot,
+      env,
+      tmp,
+      this._operation(),
+      this._onProgress
+    );
   }
 
   getArchivesPath(repositoryPath, distribution) {
@@ -79,9 +267,10 @@ class Wpkg {
    * @param {string} arch - Architecture.
    * @param {object} filters - Strings or regexps (in an object).
    * @param {object} options - Provide greater: true if you want only the >
+   * @param {callback} next - Watt's callback.
    * @returns {object} list of packages.
    */
-  *listIndexPackages(repositoryPaths, arch, filters, options) {
+  *listIndexPackages(repositoryPaths, arch, filters, options, next) {
     const list = {};
 
     for (const repositoryPath of repositoryPaths) {
@@ -90,7 +279,7 @@ class Wpkg {
       }
 
       const _list = {};
-      const wpkg = new WpkgBin(this._resp);
+      const wpkg = this._wpkgBin();
       yield wpkg.listIndexPackages(
         repositoryPath,
         arch,
@@ -104,31 +293,57 @@ class Wpkg {
     return list;
   }
 
+  /**
+   * Get the repositories where to look for the packages.
+   *
+   * Without specific repository, the remote repositories are used after
+   * the local ones.
+   *
+   * @param {string|string[]} [repositoryPath] - Path on the repository (null for default).
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @returns {string[]} the repositories by priority.
+   */
+  _getRepositories(repositoryPath, distribution) {
+    const repositories = [].concat(
+      repositoryPath || xPacman.getDebRoot(distribution, this._resp)
+    );
+    if (!repositories.includes(this._xcraftConfig.pkgDebRoot)) {
+      repositories.push(this._xcraftConfig.pkgDebRoot);
+    }
+    if (!repositoryPath) {
+      repositories.push(...this._getRemoteRepositories(distribution));
+    }
+
+    return repositories.map((repository) =>
+      isRemote(repository) && !repository.endsWith('/')
+        ? `${repository}/`
+        : repository
+    );
+  }
+
   /**
    * Look in the repository if a specific package exists.
    *
+   * The http(s) repositories are supported. Their index is downloaded in a
+   * local mirror and the package is downloaded (with its checksum, which is
+   * verified) only if it's found.
+   *
+   * @yields
    * @param {string} packageName - Package name.
    * @param {string} packageVersion - Package version.
    * @param {string} [archRoot] - Architecture for the admin dir.
    * @param {string} [distribution] - A specific distribution or null for default.
-   * @param {string} [repositoryPath] - Path on the repository (null for default).
-   * @param {callback} callback - Async callback.
+   * @param {string|string[]} [repositoryPath] - Path on the repository (null for default).
+   * @returns {object} the package.
    */
-  _lookForPackage(
+  *_lookForPackage(
     packageName,
     packageVersion,
     archRoot,
     distribution,
-    repositoryPath,
-    callback
+    repositoryPath
   ) {
-    const repository =
-      repositoryPath || xPacman.getDebRoot(distribution, this._resp);
-
-    const repositories = [repository];
-    if (repository !== this._xcraftConfig.pkgDebRoot) {
-      repositories.push(this._xcraftConfig.pkgDebRoot);
-    }
+    const repositories = this._getRepositories(repositoryPath, distribution);
 
     if (!distribution) {
       distribution = this._pacmanConfig.pkgToolchainRepository;
@@ -146,52 +361,335 @@ class Wpkg {
       arch: new RegExp('(' + archRoot + '|all)'),
     };
 
+    /* The remote indexes are read from the local mirrors */
+    const locations = {};
+    for (const repository of repositories) {
+      locations[repository] = isRemote(repository)
+        ? yield this._mirrorRepository(repository)
+        : repository;
+    }
+
     /* wpkg is able to install a package just by its name. But it's not possible
      * in this case to specify for example a version. And there is a regression
      * with the new way. Then we must look in the repository index file if
      * the package exists and in order to retrieve the full package name.
      */
     const op = {greater: true};
-    this.listIndexPackages(repositories, archRoot, filters, op, (err, list) => {
-      if (err) {
-        callback(err);
-        return;
-      }
+    const list = yield this.listIndexPackages(
+      Object.values(locations),
+      archRoot,
+      filters,
+      op
+    );
 
-      let _repository;
-      const exists = repositories.some((repository) => {
-        _repository = repository;
-        return list[repository] && list[repository][packageName];
-      });
+    const _repository = repositories.find(
+      (repository) => list[locations[repository]]?.[packageName]
+    );
 
-      if (!exists) {
-        this._resp.log.warn('the package %s is unavailable', packageName);
-        callback('package not found');
-        return;
+    if (!_repository) {
+      this._resp.log.warn('the package %s is unavailable', packageName);
+      throw new PackageNotFoundError(
+        packageName,
+        packageVersion,
+        distribution,
+        repositories
+      );
+    }
+
+    /* We have found the package, then we can build the full path and install
+     * this one to the target root.
+     */
+    const location = locations[_repository];
+    const deb = list[location][packageName];
+    if (isRemote(_repository)) {
+      deb.url = new URL(deb.file, _repository).href;
+    }
+    deb.file = path.join(location, deb.file);
+    deb.index = path.join(location, this._pacmanConfig.pkgIndex);
+    deb.repository = _repository;
+    deb.distribution = distribution;
+
+    if (deb.url) {
+      yield this._downloadPackage(deb);
+    }
+
+    try {
+      const hash = checksum.readChecksum(deb.file);
+      if (hash) {
+        deb.hash = hash.hash;
+        deb.hashAlgorithm = hash.algorithm;
       }
+    } catch (ex) {
+      /* ignore */
+    }
 
-      /* We have found the package, then we can build the full path and install
-       * this one to the target root.
-       */
-      const deb = list[_repository][packageName];
-      deb.file = path.join(_repository, deb.file);
-      deb.repository = _repository;
-      deb.distribution = distribution;
-      try {
-        const hashFile = deb.file + '.md5sum';
-        deb.hash = fs.readFileSync(hashFile).toString().trim();
-      } catch (ex) {
-        /* ignore */
+    this._verifySignatures(deb);
+    return deb;
+  }
+
+  /**
+   * Retrieve the http(s) repositories for a distribution.
+   *
+   * The remote servers are the ones of the remote.repositories setting.
+   * Each one provides the distributions like the wpkg http server of
+   * pacman (<server>/<distribution>/ and <server>/versions/ for the archives).
+   *
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {string} [subPath] - Path in the distribution (like the archive of a version).
+   * @returns {string[]} the repository URLs.
+   */
+  _getRemoteRepositories(distribution, subPath) {
+    const servers = this._wpkgConfig?.remote?.repositories || [];
+    distribution = (
+      distribution || this._pacmanConfig.pkgToolchainRepository
+    ).replace(/\/$/, '');
+
+    return servers.map((server) => {
+      const root = server.endsWith('/') ? server : `${server}/`;
+      return subPath
+        ? new URL(`versions/${distribution}/${subPath}/`, root).href
+        : new URL(`${distribution}/`, root).href;
+    });
+  }
+
+  /**
+   * Download the index of a remote repository in its local mirror.
+   *
+   * The index is downloaded again only if it has changed on the server.
+   *
+   * @yields
+   * @param {string} repository - Repository URL.
+   * @returns {string} the location of the mirror.
+   */
+  *_mirrorRepository(repository) {
+    const url = new URL(repository);
+    const mirror = path.join(
+      this._xcraftConfig.xcraftRoot,
+      'var',
+      'wpkg@http',
+      url.host.replace(/:/g, '_'),
+      ...decodeURIComponent(url.pathname)
+        .split('/')
+        .filter((dir) => dir)
+    );
+
+    const files = [this._pacmanConfig.pkgIndex];
+    if (this._requiresSignature(repository)) {
+      files.push(this._pacmanConfig.pkgIndex + signature.extension);
+    }
+
+    for (const file of files) {
+      const local = path.join(mirror, file);
+      const modifiedSince = fs.existsSync(local)
+        ? fs.statSync(local).mtime
+        : null;
+
+      this._resp.log.verb(`mirror ${repository}${file}`);
+      const status = yield download(new URL(file, repository).href, local, {
+        modifiedSince,
+        signal: this._operation()?.signal,
+      });
+      if (status === 404) {
+        xFs.fse.removeSync(local);
       }
-      callback(null, deb);
+    }
+
+    return mirror;
+  }
+
+  /**
+   * Download a package of a remote repository in the download cache.
+   *
+   * The package is verified with its checksum (.sha256 or .md5sum) which
+   * must be provided by the server. The package is stored (with its
+   * sidecars) in the cache by its SHA-256, then a package already in the
+   * cache is not downloaded again.
+   *
+   * @yields
+   * @param {object} deb - Package found by _lookForPackage.
+   */
+  *_downloadPackage(deb) {
+    const extensions = [...checksum.sidecars];
+    if (this._requiresSignature(deb.repository)) {
+      extensions.push(signature.extension);
+    }
+
+    for (const extension of extensions) {
+      const file = deb.file + extension;
+      xFs.fse.removeSync(file);
+      yield download(deb.url + extension, file, {
+        signal: this._operation()?.signal,
+      });
+    }
+    const sidecarFiles = extensions
+      .map((extension) => deb.file + extension)
+      .filter((file) => fs.existsSync(file));
+
+    const expected = checksum.readChecksum(deb.file, 'sha256');
+    const cached =
+      expected && this._cache.get(expected.hash, path.basename(deb.file));
+    if (cached) {
+      /* Keep the sidecars up to date (the signature for example) */
+      this._cache.put(expected.hash, sidecarFiles);
+      deb.file = cached;
+      return;
+    }
+
+    this._resp.log.info(`download ${deb.url}`);
+    const status = yield download(deb.url, deb.file, {
+      signal: this._operation()?.signal,
+    });
+    if (status === 404) {
+      throw new PackageNotFoundError(deb.name, deb.version, deb.distribution, [
+        deb.repository,
+      ]);
+    }
+
+    const data = fs.readFileSync(deb.file);
+    const result = checksum.verifyChecksum(deb.file, data);
+    if (!result.algorithms.length || result.mismatches.length) {
+      xFs.fse.removeSync(deb.file);
+      throw new ChecksumError(
+        deb.url,
+        result.algorithms.length
+          ? `${result.mismatches.join(', ')} mismatch`
+          : 'no checksum'
+      );
+    }
+
+    const hash = expected?.hash || checksum.hashFile(deb.file, 'sha256', data);
+    [deb.file] = this._cache.put(hash, [deb.file, ...sidecarFiles]);
+  }
+
+  /**
+   * Remove all entries of the download cache.
+   *
+   * @returns {object} what is removed ({entries, size}).
+   */
+  cleanCache() {
+    return this._cache.clean();
+  }
+
+  /**
+   * Statistics of the in-memory caches.
+   *
+   * The counters (hits, misses, evictions and expirations) are shared by
+   * all instances, they help to tune the sizes of the caches.
+   *
+   * @returns {object} the statistics of the index and show caches.
+   */
+  cacheStats() {
+    return {
+      index: WpkgBin.cacheStats(),
+      show: Wpkg.#showCache.stats(),
+    };
+  }
+
+  /**
+   * Forget the cached control data of the packages of a location.
+   *
+   * It's called when the packages are published, unpublished or moved and
+   * when a repository is synchronized. A long-running process can call it
+   * when a repository is changed by an other process. The results of the
+   * disk cache are addressed by the content, they are never outdated.
+   *
+   * @param {string} location - Package file or directory (repository).
+   * @returns {number} the number of forgotten packages.
+   */
+  invalidateCache(location) {
+    const root = path.resolve(location);
+    return Wpkg.#showCache.deleteWhere(({file}) => {
+      file = path.resolve(file);
+      return file === root || file.startsWith(root + path.sep);
     });
   }
 
+  /**
+   * Check if a repository requires signed packages and indexes.
+   *
+   * @param {string} repository - Repository location.
+   * @returns {boolean} true if the signatures are required.
+   */
+  _requiresSignature(repository) {
+    const repositories = this._wpkgConfig?.signature?.repositories || [];
+    const normalize = (location) =>
+      (isRemote(location) ? location : path.resolve(location)).replace(
+        /\/$/,
+        ''
+      );
+
+    return repositories.some(
+      (entry) => entry === '*' || normalize(entry) === normalize(repository)
+    );
+  }
+
+  /**
+   * Verify the signatures of a package and of its repository index.
+   *
+   * Nothing is checked if the repository doesn't require signatures. The
+   * public keys are read locally, then it works offline.
+   *
+   * @param {object} deb - Package found by _lookForPackage.
+   */
+  _verifySignatures(deb) {
+    if (!this._requiresSignature(deb.repository)) {
+      return;
+    }
+
+    const publicKeys = signature.loadPublicKeys(
+      path.resolve(
+        this._xcraftConfig.xcraftRoot,
+        this._wpkgConfig.signature.publicKeys
+      )
+    );
+
+    for (const file of [deb.index, deb.file]) {
+      if (!signature.verify(file, publicKeys)) {
+        this._resp.log.err(`the signature of ${file} is missing or invalid`);
+        throw new SignatureError(file);
+      }
+    }
+  }
+
+  /**
+   * Sign a package if a private key is configured.
+   *
+   * @param {string} file - Package location.
+   */
+  _signPackage(file) {
+    const privateKey = this._wpkgConfig?.signature?.privateKey;
+    if (!privateKey) {
+      return;
+    }
+
+    signature.sign(
+      file,
+      path.resolve(this._xcraftConfig.xcraftRoot, privateKey)
+    );
+  }
+
+  /**
+   * Key of a package in the show cache.
+   *
+   * The checksum identifies the content of the package. Without checksum,
+   * the location, the size and the modification time are used instead.
+   *
+   * @param {object} deb - Package found by _lookForPackage.
+   * @returns {string} the key.
+   */
+  static _showKey(deb) {
+    if (deb.hash) {
+      return `${deb.hashAlgorithm}:${deb.hash}`;
+    }
+    const st = fs.statSync(deb.file);
+    return `${path.resolve(deb.file)}:${st.size}:${st.mtimeMs}`;
+  }
+
   static _baseVersion(v) {
     return v.replace(/-[^-]*/, '');
   }
 
-  *copyFromArchiving(packageName, arch, version, distribution) {
+  *copyFromArchiving(packageName, arch, version, distribution, next) {
     const isSrc = packageName.endsWith('-src');
     const architecture = isSrc ? '' : arch;
     const outDistrib = isSrc ? 'sources/' : distribution;
@@ -215,11 +713,13 @@ class Wpkg {
     const outputPackage = path.join(outputRepository, outDistrib, file);
 
     xFs.cp(archivePackage, outputPackage);
-    try {
-      xFs.cp(archivePackage + '.md5sum', outputPackage + '.md5sum');
-    } catch (ex) {
-      if (ex.code !== 'ENOENT') {
-        throw ex;
+    for (const sidecar of sidecars) {
+      try {
+        xFs.cp(archivePackage + sidecar, outputPackage + sidecar);
+      } catch (ex) {
+        if (ex.code !== 'ENOENT') {
+          throw ex;
+        }
       }
     }
 
@@ -229,11 +729,13 @@ class Wpkg {
   *_moveToArchiving(wpkg, packagesPath, archivesPath, deb, backLink = false) {
     const tryfs = (action, ...args) => {
       xFs[action](...args);
-      try {
-        xFs[action](...args.map((file) => file + '.md5sum'));
-      } catch (ex) {
-        if (ex.code !== 'ENOENT') {
-          throw ex;
+      for (const sidecar of sidecars) {
+        try {
+          xFs[action](...args.map((file) => file + sidecar));
+        } catch (ex) {
+          if (ex.code !== 'ENOENT') {
+            throw ex;
+          }
         }
       }
     };
@@ -244,17 +746,7 @@ class Wpkg {
     const dst = path.join(archiveVerPath, deb.file);
 
     if (fs.existsSync(dst)) {
-      let md5sumSrc;
-      let md5sumDst;
-
-      if (fs.existsSync(src + '.md5sum')) {
-        md5sumSrc = xFs.fse.readFileSync(src + '.md5sum', 'utf8');
-      }
-      if (fs.existsSync(dst + '.md5sum')) {
-        md5sumDst = xFs.fse.readFileSync(dst + '.md5sum', 'utf8');
-      }
-
-      if (md5sumSrc === md5sumDst) {
+      if (checksum.sameChecksum(src, dst)) {
         if (!backLink) {
           tryfs('rm', src);
         }
@@ -447,7 +939,7 @@ class Wpkg {
     }
   }
 
-  *moveArchive(name, version, distribution, destinationDir) {
+  *moveArchive(name, version, distribution, destinationDir, next) {
     const repositoryPath = xPacman.getDebRoot(distribution, this._resp);
     const archivesPath = this.getArchivesPath(repositoryPath, distribution);
     const archivePkgPath = path.join(archivesPath, name);
@@ -483,13 +975,14 @@ class Wpkg {
       if (length === 0) {
         delete index[baseVersion];
       } else {
-        const wpkg = new WpkgBin(this._resp);
+        const wpkg = this._wpkgBin();
         index[baseVersion].latest = yield* maxVersion(
           index[baseVersion].versions
         );
       }
     }
 
+    this.invalidateCache(archiveVerPath);
     try {
       xFs.mv(archiveVerPath, path.join(destinationDir, name, version));
     } catch (ex) {
@@ -500,39 +993,363 @@ class Wpkg {
     xFs.fse.writeJSONSync(indexJson, index, {spaces: 2});
   }
 
-  *_syncRepository(repositoryPath) {
-    const wpkg = new WpkgBin(this._resp);
+  /**
+   * Remove the archived versions which are not retained by the policy.
+   *
+   * A version is retained as soon as one rule of the policy keeps it.
+   * The latest version of a package is always retained.
+   *
+   * - keepLast: number of versions to keep for each base version
+   * - keepBaseVersions: number of base versions to keep (the latest ones)
+   * - newerThan: keep the versions archived after this date
+   * - pins: list of packages ('name') or versions ('name@version') to keep
+   *
+   * At least one rule must be set, an empty policy is rejected with an
+   * InvalidOptionsError.
+   *
+   * @yields
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {object} policy - Retention policy.
+   * @param {callback} next - Watt's callback.
+   * @returns {object[]} the removed versions ({name, version}).
+   */
+  *pruneArchives(distribution, policy, next) {
+    /* Without policy, everything but the latest versions would be removed */
+    if (!isOptions(policy)) {
+      throw new InvalidOptionsError('pruneArchives', 'missing policy');
+    }
+
+    const rules = ['keepLast', 'keepBaseVersions', 'newerThan', 'pins'];
+    const unknown = Object.keys(policy).filter((rule) => !rules.includes(rule));
+    if (unknown.length) {
+      throw new InvalidOptionsError(
+        'pruneArchives',
+        `unknown ${unknown.join(', ')}`
+      );
+    }
+
+    const defined = rules.filter(
+      (rule) =>
+        policy[rule] !== undefined &&
+        policy[rule] !== null &&
+        !(Array.isArray(policy[rule]) && !policy[rule].length)
+    );
+    if (!defined.length) {
+      throw new InvalidOptionsError('pruneArchives', 'empty policy');
+    }
+
+    const {keepLast, keepBaseVersions, newerThan, pins = []} = policy;
+    const newerThanTime =
+      newerThan !== undefined && newerThan !== null
+        ? new Date(newerThan).getTime()
+        : null;
+    if (Number.isNaN(newerThanTime)) {
+      throw new InvalidOptionsError('pruneArchives', 'invalid newerThan');
+    }
+
+    const repositoryPath = xPacman.getDebRoot(distribution, this._resp);
+    const archivesPath = this.getArchivesPath(
+      repositoryPath,
+      distribution || this._pacmanConfig.pkgToolchainRepository
+    );
+    const removed = [];
+
+    let packages = [];
     try {
-      const distributions = xFs.lsdir(repositoryPath);
-      /* Detect potential new packages */
-      yield wpkg.createIndex(repositoryPath, this._pacmanConfig.pkgIndex);
-      yield this._archiving(wpkg, repositoryPath, distributions);
-      /* Update after the archiving of some packages */
-      yield wpkg.createIndex(repositoryPath, this._pacmanConfig.pkgIndex);
+      packages = xFs.lsdir(archivesPath);
     } catch (ex) {
       if (ex.code !== 'ENOENT') {
         throw ex;
       }
     }
-  }
 
-  _build(packagePath, isSource, outputRepository, distribution, callback) {
-    const repositoryPath =
-      outputRepository || xPacman.getDebRoot(distribution, this._resp);
-    const pathObj = packagePath.split(path.sep);
+    for (const name of packages) {
+      const archivePkgPath = path.join(archivesPath, name);
+      const versions = xFs.lsdir(archivePkgPath);
+      if (!versions.length || pins.includes(name)) {
+        continue;
+      }
 
-    /* Retrieve the architecture which is in the packagePath. */
-    const arch = pathObj[pathObj.length - 2];
-    const currentDir = process.cwd();
+      const baseVersions = {};
+      for (const version of versions) {
+        const base = Wpkg._baseVersion(version);
+        if (!baseVersions[base]) {
+          baseVersions[base] = [];
+        }
+        baseVersions[base].push(version);
+      }
 
-    const wpkg = new WpkgBin(this._resp);
+      const sortedBases = yield* sortVersions(Object.keys(baseVersions));
+      const kept = new Set();
 
-    const wpkgCallback = (err) => {
-      process.chdir(currentDir);
+      for (const [it, base] of sortedBases.entries()) {
+        const sorted = yield* sortVersions(baseVersions[base]);
 
-      if (err) {
-        callback(err);
-        return;
+        /* The latest version is always kept */
+        if (it === 0) {
+          kept.add(sorted[0]);
+        }
+
+        sorted.forEach((version, rank) => {
+          if (
+            (keepLast !== undefined && rank < keepLast) ||
+            (keepBaseVersions !== undefined && it < keepBaseVersions) ||
+            pins.includes(`${name}@${version}`)
+          ) {
+            kept.add(version);
+          }
+        });
+      }
+
+      if (newerThanTime !== null) {
+        for (const version of versions) {
+          const archiveVerPath = path.join(archivePkgPath, version);
+          const mtimes = xFs
+            .ls(archiveVerPath, /\.deb$/)
+            .map((deb) => fs.statSync(path.join(archiveVerPath, deb)).mtimeMs);
+          if (Math.max(...mtimes, 0) > newerThanTime) {
+            kept.add(version);
+          }
+        }
+      }
+
+      const toRemove = versions.filter((version) => !kept.has(version));
+      if (!toRemove.length) {
+        continue;
+      }
+
+      for (const version of toRemove) {
+        this._resp.log.info(`prune ${name} ${version} from the archives`);
+        const archiveVerPath = path.join(archivePkgPath, version);
+        this.invalidateCache(archiveVerPath);
+        xFs.rm(archiveVerPath);
+        removed.push({name, version});
+      }
+
+      /* The versions are removed with their directory, then the wpkg index
+       * of the kept versions is unchanged and only index.json is affected.
+       */
+      yield* this._writeArchiveIndex(archivePkgPath);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Verify the integrity of the archives of a distribution.
+   *
+   * The problems are reported with a type:
+   * - checksum-missing: the .deb has no .sha256
+   * - checksum-mismatch: the .deb doesn't match its .sha256 or its .md5sum
+   *   (never repaired)
+   * - index-json: the index.json doesn't match the versions on disk
+   * - wpkg-index: the wpkg index of a version is missing or incomplete
+   *
+   * @yields
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {object} [options] - Provide repair: true for fixing the problems.
+   * @param {callback} next - Watt's callback.
+   * @returns {object} the report ({packages, versions, problems}).
+   */
+  *verifyArchives(distribution, options, next) {
+    /* options is watt's callback when omitted */
+    const repair = !!options?.repair;
+
+    const repositoryPath = xPacman.getDebRoot(distribution, this._resp);
+    const archivesPath = this.getArchivesPath(
+      repositoryPath,
+      distribution || this._pacmanConfig.pkgToolchainRepository
+    );
+    const wpkg = this._wpkgBin();
+    const report = {packages: 0, versions: 0, problems: []};
+
+    const problem = (type, name, version, file, repaired) => {
+      this._resp.log.warn(
+        `${type} for ${name}${version ? ` ${version}` : ''}` +
+          (repaired ? ' (repaired)' : '')
+      );
+      report.problems.push({type, name, version, file, repaired});
+    };
+
+    let packages = [];
+    try {
+      packages = xFs.lsdir(archivesPath);
+    } catch (ex) {
+      if (ex.code !== 'ENOENT') {
+        throw ex;
+      }
+    }
+
+    for (const name of packages) {
+      const archivePkgPath = path.join(archivesPath, name);
+      const versions = xFs.lsdir(archivePkgPath);
+      ++report.packages;
+
+      for (const version of versions) {
+        const archiveVerPath = path.join(archivePkgPath, version);
+        const debs = xFs.ls(archiveVerPath, /\.deb$/);
+        ++report.versions;
+
+        for (const deb of debs) {
+          const file = path.join(archiveVerPath, deb);
+          const data = fs.readFileSync(file);
+
+          const result = checksum.verifyChecksum(file, data);
+          if (result.mismatches.length) {
+            problem('checksum-mismatch', name, version, file, false);
+            continue;
+          }
+
+          if (!result.algorithms.includes('sha256')) {
+            if (repair) {
+              checksum.writeChecksum(file, data);
+            }
+            problem('checksum-missing', name, version, file, repair);
+          }
+        }
+
+        const indexFile = path.join(
+          archiveVerPath,
+          this._pacmanConfig.pkgIndex
+        );
+        let indexed = [];
+        try {
+          indexed = Object.keys(readIndex(indexFile)).map((entry) =>
+            path.basename(entry).replace(/\.ctrl$/, '.deb')
+          );
+        } catch {
+          /* Missing or broken index, it's reported below */
+        }
+        if (debs.some((deb) => !indexed.includes(deb))) {
+          if (repair) {
+            yield wpkg.createIndex(archiveVerPath, this._pacmanConfig.pkgIndex);
+          }
+          problem('wpkg-index', name, version, indexFile, repair);
+        }
+      }
+
+      const indexJson = path.join(archivePkgPath, 'index.json');
+      let valid = false;
+      try {
+        valid = yield* this._checkArchiveIndex(
+          xFs.fse.readJSONSync(indexJson),
+          versions
+        );
+      } catch {
+        /* Missing or broken index.json */
+      }
+      if (!valid && versions.length) {
+        if (repair) {
+          yield* this._writeArchiveIndex(archivePkgPath);
+        }
+        problem('index-json', name, null, indexJson, repair);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Check if an index.json matches the versions on disk.
+   *
+   * @yields
+   * @param {object} index - Content of index.json.
+   * @param {string[]} versions - Versions on disk.
+   * @returns {boolean} true if valid.
+   */
+  *_checkArchiveIndex(index, versions) {
+    const bases = Object.keys(index).filter((key) => key !== 'latest');
+    const listed = bases.flatMap((base) => index[base].versions || []);
+
+    if (
+      listed.length !== versions.length ||
+      versions.some((version) => !listed.includes(version))
+    ) {
+      return false;
+    }
+
+    for (const base of bases) {
+      const baseVersions = index[base].versions || [];
+      if (
+        baseVersions.some((version) => Wpkg._baseVersion(version) !== base) ||
+        index[base].latest !== (yield* maxVersion(baseVersions.slice()))
+      ) {
+        return false;
+      }
+    }
+
+    return index.latest === (yield* maxVersion(bases));
+  }
+
+  /**
+   * Write the index.json of an archived package with the versions on disk.
+   *
+   * @yields
+   * @param {string} archivePkgPath - Location of the archived package.
+   */
+  *_writeArchiveIndex(archivePkgPath) {
+    const index = {};
+
+    for (const version of xFs.lsdir(archivePkgPath)) {
+      const base = Wpkg._baseVersion(version);
+      if (!index[base]) {
+        index[base] = {latest: '', versions: []};
+      }
+      index[base].versions.push(version);
+    }
+
+    for (const base of Object.keys(index)) {
+      index[base].latest = yield* maxVersion(index[base].versions.slice());
+    }
+    index.latest = yield* maxVersion(Object.keys(index));
+
+    xFs.fse.writeJSONSync(path.join(archivePkgPath, 'index.json'), index, {
+      spaces: 2,
+    });
+  }
+
+  *_syncRepository(repositoryPath) {
+    const wpkg = this._wpkgBin();
+    this.invalidateCache(repositoryPath);
+    try {
+      const distributions = xFs.lsdir(repositoryPath);
+      /* Generate the missing or stale checksums of the new packages */
+      for (const distribution of distributions) {
+        const packagesPath = path.join(repositoryPath, distribution);
+        for (const deb of xFs.ls(packagesPath, /\.deb$/)) {
+          checksum.refreshChecksum(path.join(packagesPath, deb));
+        }
+      }
+      /* Detect potential new packages */
+      yield wpkg.createIndex(repositoryPath, this._pacmanConfig.pkgIndex);
+      yield this._archiving(wpkg, repositoryPath, distributions);
+      /* Update after the archiving of some packages */
+      yield wpkg.createIndex(repositoryPath, this._pacmanConfig.pkgIndex);
+    } catch (ex) {
+      if (ex.code !== 'ENOENT') {
+        throw ex;
+      }
+    }
+  }
+
+  _build(packagePath, isSource, outputRepository, distribution, callback) {
+    const repositoryPath =
+      outputRepository || xPacman.getDebRoot(distribution, this._resp);
+    const pathObj = packagePath.split(path.sep);
+
+    /* Retrieve the architecture which is in the packagePath. */
+    const arch = pathObj[pathObj.length - 2];
+
+    /* Own temporary directory for the concurrent builds */
+    const tmp = this._buildTmp(pathObj[pathObj.length - 1]);
+    const wpkg = this._wpkgBin(null, null, tmp);
+
+    const wpkgCallback = (err) => {
+      xFs.rm(tmp);
+
+      if (err) {
+        callback(err);
+        return;
       }
 
       /* We create or update the index with our new package. */
@@ -540,8 +1357,7 @@ class Wpkg {
     };
 
     if (isSource) {
-      process.chdir(packagePath);
-      wpkg.buildSrc(repositoryPath, distribution, wpkgCallback);
+      wpkg.buildSrc(packagePath, repositoryPath, distribution, wpkgCallback);
     } else {
       wpkg.build(repositoryPath, packagePath, arch, distribution, wpkgCallback);
     }
@@ -587,7 +1403,7 @@ class Wpkg {
 
     const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
 
-    const wpkg = new WpkgBin(this._resp, targetRoot, {
+    const wpkg = this._wpkgBin(targetRoot, {
       PEON_DISTRIBUTION: distribution || '',
     });
 
@@ -609,7 +1425,7 @@ class Wpkg {
       const srcRepository = path.join(repository, 'sources');
 
       if (!fs.existsSync(srcRepository)) {
-        callback('nothing to build');
+        callback(new NothingToBuildError(srcRepository));
         return;
       }
 
@@ -640,6 +1456,203 @@ class Wpkg {
     );
   }
 
+  /**
+   * Build binary packages from several source packages.
+   *
+   * The build order is computed from the build dependencies (Build-Depends
+   * and X-Craft-Build-Depends) of the source packages. The packages which
+   * don't depend on each other are built in parallel, each one in its own
+   * temporary directory and with its own target root for the build
+   * dependencies (otherwise the queue of the shared root serializes the
+   * builds). Without parallel builds (concurrency of 1), the target root of
+   * the distribution is used. The repository is synchronized only once at
+   * the end (even if a build has failed, in order to keep the built packages).
+   *
+   * @yields
+   * @param {string[]} packageNames - Source package names.
+   * @param {string} arch - Architecture.
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {object} [options] - Options.
+   * @param {number} [options.concurrency] - Maximum number of parallel builds (number of CPUs by default).
+   * @param {callback} next - Watt's callback.
+   * @returns {string[]} the built packages (in the build order).
+   */
+  *buildManyFromSrc(packageNames, arch, distribution, options, next) {
+    const os = require('os');
+
+    const repository = xPacman.getDebRoot(distribution, this._resp);
+    const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
+    const concurrency = Math.max(1, options?.concurrency || os.cpus().length);
+    /* null for a target root by build */
+    const buildRoot = concurrency > 1 ? null : targetRoot;
+
+    /* Binary packages provided by each source package */
+    const packages = {};
+    const providers = {};
+    for (const name of packageNames) {
+      const deb = yield this._lookForPackage(name, null, arch, distribution);
+      const def = yield this.show(name, arch, null, distribution);
+      const base = name.replace(/-src$/, '');
+      const subPackages =
+        def['X-Craft-Sub-Packages'] !== 'undefined'
+          ? def['X-Craft-Sub-Packages'].split(/,\s*/)
+          : [];
+      for (const provided of [
+        name,
+        base,
+        ...subPackages.map((sub) => `${base}-${sub}`),
+      ]) {
+        providers[provided] = name;
+      }
+      packages[name] = {file: deb.file, def, depends: new Set()};
+    }
+
+    /* Only the dependencies between the packages to build are considered */
+    for (const [name, pkg] of Object.entries(packages)) {
+      for (const field of ['Build-Depends', 'X-Craft-Build-Depends']) {
+        if (pkg.def[field] === 'undefined') {
+          continue;
+        }
+        for (const group of parseDepends(pkg.def[field])) {
+          for (const depend of group) {
+            const provider = providers[depend.name];
+            if (provider && provider !== name && archMatches(depend, arch)) {
+              pkg.depends.add(provider);
+            }
+          }
+        }
+      }
+    }
+
+    /* Reject the cycles before building anything */
+    const sorted = new Set();
+    let progress = true;
+    while (progress) {
+      progress = false;
+      for (const [name, pkg] of Object.entries(packages)) {
+        if (!sorted.has(name) && [...pkg.depends].every((d) => sorted.has(d))) {
+          sorted.add(name);
+          progress = true;
+        }
+      }
+    }
+    const cyclic = Object.keys(packages).filter((name) => !sorted.has(name));
+    if (cyclic.length) {
+      throw new DependencyCycleError(cyclic);
+    }
+
+    const wpkg = this._wpkgBin();
+    const built = [];
+    const pending = new Set(sorted);
+    const running = new Map();
+    let failure = null;
+
+    while (pending.size || running.size) {
+      for (const name of failure ? [] : pending) {
+        if (running.size >= concurrency) {
+          break;
+        }
+        if (![...packages[name].depends].every((d) => built.includes(d))) {
+          continue;
+        }
+
+        this._resp.log.info(
+          `build ${name} (${built.length + 1}/${sorted.size})`
+        );
+        pending.delete(name);
+        /* The watt promises can't be chained, then the callback is used */
+        running.set(
+          name,
+          new Promise((resolve) =>
+            this._buildOneFromSrc(
+              name,
+              packages[name].file,
+              arch,
+              distribution,
+              buildRoot,
+              (err) => resolve({name, err})
+            )
+          )
+        );
+      }
+
+      if (!running.size) {
+        break;
+      }
+
+      const {name, err} = yield Promise.race(running.values());
+      running.delete(name);
+      if (err) {
+        this._resp.log.err(`the build of ${name} has failed`);
+        failure = failure || err;
+        continue;
+      }
+      built.push(name);
+
+      /* The next builds must see the new binary packages */
+      if ([...pending].some((other) => packages[other].depends.has(name))) {
+        yield wpkg.createIndex(repository, this._pacmanConfig.pkgIndex);
+      }
+    }
+
+    if (built.length) {
+      yield this._syncRepository(repository);
+    }
+    if (failure) {
+      throw failure;
+    }
+    return built;
+  }
+
+  /**
+   * Create a temporary directory (in wpkgTemp) for a single build.
+   *
+   * @param {string} name - Prefix of the directory.
+   * @returns {string} the location of the new directory.
+   */
+  _buildTmp(name) {
+    const tmpRoot = path.join(
+      this._xcraftConfig.xcraftRoot,
+      this._pacmanConfig.wpkgTemp
+    );
+    xFs.mkdir(tmpRoot);
+    return fs.mkdtempSync(path.join(tmpRoot, `${name}-`));
+  }
+
+  /**
+   * Build a source package in its own temporary directory.
+   *
+   * Without target root, the build dependencies are installed in a new
+   * target root in the temporary directory.
+   *
+   * @yields
+   * @param {string} name - Source package name.
+   * @param {string} file - Source package location.
+   * @param {string} arch - Architecture.
+   * @param {string} distribution - Distribution.
+   * @param {string} [targetRoot] - Target root for the build dependencies.
+   * @param {callback} next - Watt's callback.
+   */
+  *_buildOneFromSrc(name, file, arch, distribution, targetRoot, next) {
+    const tmp = this._buildTmp(name);
+
+    try {
+      if (!targetRoot) {
+        targetRoot = path.join(tmp, 'root');
+        yield this.createAdmindir(arch, distribution, targetRoot, next);
+      }
+
+      const wpkg = this._wpkgBin(
+        targetRoot,
+        {PEON_DISTRIBUTION: distribution || ''},
+        tmp
+      );
+      yield wpkg.build(null, file, arch, distribution, next);
+    } finally {
+      xFs.rm(tmp);
+    }
+  }
+
   /**
    * List files of a package (data).
    *
@@ -650,7 +1663,7 @@ class Wpkg {
   listFiles(packageName, arch, callback) {
     const list = [];
 
-    const wpkg = new WpkgBin(this._resp);
+    const wpkg = this._wpkgBin();
 
     wpkg.listFiles(packageName, arch, list, (err) => {
       callback(err, list);
@@ -669,7 +1682,7 @@ class Wpkg {
     const list = [];
     const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
+    const wpkg = this._wpkgBin(targetRoot);
 
     wpkg.list(arch, pattern, list, (err) => {
       callback(err, list);
@@ -688,7 +1701,7 @@ class Wpkg {
     const list = [];
     const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
+    const wpkg = this._wpkgBin(targetRoot);
 
     wpkg.search(arch, pattern, list, (err) => {
       callback(err, list);
@@ -704,7 +1717,7 @@ class Wpkg {
    */
   unlock(arch, distribution, callback) {
     const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
-    const wpkg = new WpkgBin(this._resp, targetRoot);
+    const wpkg = this._wpkgBin(targetRoot);
     wpkg.unlock(arch, callback);
   }
 
@@ -718,9 +1731,37 @@ class Wpkg {
    * @param {string} [distribution] - A specific distribution or null for default.
    * @param {string} [targetRoot] - For production root (null for devroot).
    * @param {boolean} [reinstall] - Reinstall if already installed.
+   * @param {object} [options] - Provide dryRun: true for a report only,
+   * rollback: true for restoring the target root if wpkg fails and
+   * verify: true for refusing a package without valid checksum.
    * @param {callback} callback - Async callback.
    */
-  install(packageName, arch, distribution, targetRoot, reinstall, callback) {
+  install(
+    packageName,
+    arch,
+    distribution,
+    targetRoot,
+    reinstall,
+    options,
+    callback
+  ) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    if (options?.dryRun) {
+      this.dryRunInstall(
+        packageName,
+        arch,
+        distribution,
+        targetRoot,
+        reinstall,
+        callback
+      );
+      return;
+    }
+
     this._lookForPackage(
       packageName,
       null,
@@ -733,12 +1774,48 @@ class Wpkg {
           return;
         }
 
+        if (options?.verify) {
+          let result;
+          try {
+            result = checksum.verifyChecksum(deb.file);
+          } catch (ex) {
+            callback(ex);
+            return;
+          }
+          if (!result.algorithms.length || result.mismatches.length) {
+            callback(
+              new ChecksumError(
+                deb.file,
+                result.algorithms.length
+                  ? `${result.mismatches.join(', ')} mismatch`
+                  : 'no checksum'
+              )
+            );
+            return;
+          }
+        }
+
         if (!targetRoot) {
           targetRoot = xPacman.getTargetRoot(distribution, this._resp);
         }
 
-        const wpkg = new WpkgBin(this._resp, targetRoot);
-        wpkg.install(deb.file, arch, distribution, reinstall, callback);
+        const wpkg = this._wpkgBin(targetRoot);
+        this._withJournal(
+          'install',
+          arch,
+          targetRoot,
+          {packages: [packageName]},
+          (callback) =>
+            this._withRollback(
+              arch,
+              targetRoot,
+              options,
+              (callback) =>
+                wpkg.install(deb.file, arch, distribution, reinstall, callback),
+              callback
+            ),
+          callback
+        );
       }
     );
   }
@@ -746,10 +1823,10 @@ class Wpkg {
   /**
    * Install a package with its dependencies (only with the package name).
    *
-   * This function is used in the case of external repositories. It should be
-   * possible to use _lookForPackage like with the install method but the
-   * http support is not implemented.
+   * This function is used in the case of external repositories. The http(s)
+   * repositories are now supported by install (see remote.repositories).
    *
+   * @deprecated
    * @param {string} packageName - Package name.
    * @param {string} arch - Architecture.
    * @param {string} [distribution] - A specific distribution or null for default.
@@ -769,7 +1846,7 @@ class Wpkg {
       targetRoot = xPacman.getTargetRoot(distribution, this._resp);
     }
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
+    const wpkg = this._wpkgBin(targetRoot);
     wpkg.install(packageName, arch, distribution, reinstall, callback);
   }
 
@@ -805,47 +1882,266 @@ class Wpkg {
       distribution
     );
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
-    yield wpkg.install(deb.file, arch, deb.distribution, reinstall, next);
+    const wpkg = this._wpkgBin(targetRoot);
+    yield this._withJournal(
+      'installFromArchive',
+      arch,
+      targetRoot,
+      {packages: [packageName], version},
+      (callback) =>
+        wpkg.install(deb.file, arch, deb.distribution, reinstall, callback),
+      next
+    );
   }
 
   /**
-   * Test if a package is already installed.
+   * Compute the install plan of a package without touching the target root.
    *
+   * The dependencies are resolved with the repository indexes (the ones
+   * of the http(s) repositories are mirrored) and the packages already
+   * installed in the target root. The packages are
+   * returned in the install order (the dependencies first). Each entry
+   * provides an action: install, upgrade, downgrade or skip.
+   *
+   * @yields
    * @param {string} packageName - Package name.
-   * @param {string} arch - Architecture
+   * @param {string} arch - Architecture.
    * @param {string} [distribution] - A specific distribution or null for default.
-   * @param {callback} callback - Async callback.
+   * @param {string} [targetRoot] - For production root (null for devroot).
+   * @param {callback} next - Watt's callback.
+   * @returns {object} the plan ({packages, missing, conflicts}).
    */
-  isInstalled(packageName, arch, distribution, callback) {
-    const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
+  *resolveInstallPlan(packageName, arch, distribution, targetRoot, next) {
+    const repositories = this._getRepositories(null, distribution);
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
+    if (!targetRoot) {
+      targetRoot = xPacman.getTargetRoot(distribution, this._resp);
+    }
 
-    wpkg.isInstalled(packageName, arch, (err, code) => {
-      if (err) {
-        callback(err);
-        return;
-      }
+    if (!distribution) {
+      distribution = this._pacmanConfig.pkgToolchainRepository;
+    }
+    distribution = distribution.replace(/\/$/, '');
 
-      callback(null, !code);
-    });
-  }
+    const filters = {
+      distrib: new RegExp(`(${distribution.replace('+', '\\+')}|sources)`),
+      arch: new RegExp('(' + arch + '|all)'),
+    };
 
-  /**
-   * Get some fields of a package.
-   *
-   * If the result is null, then the package is not available.
-   *
-   * @param {string} packageName - Package name.
-   * @param {string} arch - Architecture
+    /* The remote indexes are read from the local mirrors */
+    const locations = {};
+    for (const repository of repositories) {
+      locations[repository] = isRemote(repository)
+        ? yield this._mirrorRepository(repository)
+        : repository;
+    }
+
+    const list = yield this.listIndexPackages(
+      Object.values(locations),
+      arch,
+      filters,
+      {greater: true}
+    );
+
+    /* The first repository has the priority */
+    const available = {};
+    for (const repository of repositories) {
+      const location = locations[repository];
+      for (const [name, deb] of Object.entries(list[location] || {})) {
+        if (!available[name]) {
+          available[name] = Object.assign({}, deb, {
+            /* The remote packages are not downloaded, it's only a plan */
+            file: isRemote(repository)
+              ? new URL(deb.file, repository).href
+              : path.join(repository, deb.file),
+            repository,
+          });
+        }
+      }
+    }
+
+    const installed = {};
+    for (const pkg of Object.values(
+      readInstalled(path.join(targetRoot, arch))
+    )) {
+      installed[pkg.name] = pkg.version;
+    }
+
+    const state = {
+      root: packageName,
+      arch,
+      available,
+      installed,
+      planned: {},
+      packages: [],
+      missing: [],
+      conflicts: [],
+    };
+
+    yield* this._resolve(packageName, null, null, state);
+
+    /* Look for conflicts with the installed and the planned packages */
+    for (const pkg of state.packages.filter(({action}) => action !== 'skip')) {
+      const ctrl = available[pkg.name].ctrl;
+      const conflicts = parseDepends(ctrl.Conflicts).concat(
+        parseDepends(ctrl.Breaks)
+      );
+      for (const depend of conflicts.flat()) {
+        if (depend.name === pkg.name || !archMatches(depend, arch)) {
+          continue;
+        }
+        const version = state.planned[depend.name] || installed[depend.name];
+        if (version && (yield* satisfies(version, depend.version))) {
+          state.conflicts.push({
+            name: pkg.name,
+            version: pkg.version,
+            conflictsWith: depend.name,
+            conflictsVersion: version,
+          });
+        }
+      }
+    }
+
+    return {
+      packages: state.packages,
+      missing: state.missing,
+      conflicts: state.conflicts,
+    };
+  }
+
+  *_resolve(name, constraint, requiredBy, state) {
+    const deb = state.available[name];
+    const installedVersion = state.installed[name];
+
+    if (state.planned[name]) {
+      if (!(yield* satisfies(state.planned[name], constraint))) {
+        state.conflicts.push({
+          name: requiredBy,
+          conflictsWith: name,
+          conflictsVersion: state.planned[name],
+          constraint,
+        });
+      }
+      return;
+    }
+
+    /* An installed dependency which is already fine is not upgraded */
+    if (
+      name !== state.root &&
+      installedVersion &&
+      (yield* satisfies(installedVersion, constraint))
+    ) {
+      state.planned[name] = installedVersion;
+      state.packages.push({
+        name,
+        version: installedVersion,
+        installedVersion,
+        action: 'skip',
+        requiredBy,
+      });
+      return;
+    }
+
+    if (!deb || !(yield* satisfies(deb.version, constraint))) {
+      state.missing.push({
+        name,
+        constraint,
+        availableVersion: deb ? deb.version : null,
+        requiredBy,
+      });
+      return;
+    }
+
+    state.planned[name] = deb.version;
+
+    for (const group of parseDepends(deb.ctrl.Depends)) {
+      /* The external dependencies are not provided by the repositories */
+      const alternatives = group.filter(
+        (depend) => !depend.external && archMatches(depend, state.arch)
+      );
+      if (!alternatives.length) {
+        continue;
+      }
+
+      let chosen = null;
+      for (const depend of alternatives) {
+        const version =
+          state.planned[depend.name] || state.installed[depend.name];
+        if (version && (yield* satisfies(version, depend.version))) {
+          chosen = depend;
+          break;
+        }
+      }
+      if (!chosen) {
+        for (const depend of alternatives) {
+          const dep = state.available[depend.name];
+          if (dep && (yield* satisfies(dep.version, depend.version))) {
+            chosen = depend;
+            break;
+          }
+        }
+      }
+      if (!chosen) {
+        chosen = alternatives[0];
+      }
+
+      yield* this._resolve(chosen.name, chosen.version, name, state);
+    }
+
+    let action = 'install';
+    if (installedVersion) {
+      const comp = yield debversion(deb.version, installedVersion);
+      action = comp > 0 ? 'upgrade' : comp < 0 ? 'downgrade' : 'skip';
+    }
+
+    state.packages.push({
+      name,
+      version: deb.version,
+      installedVersion: installedVersion || null,
+      action,
+      requiredBy,
+      file: deb.file,
+      repository: deb.repository,
+    });
+  }
+
+  /**
+   * Test if a package is already installed.
+   *
+   * @param {string} packageName - Package name.
+   * @param {string} arch - Architecture
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {callback} callback - Async callback.
+   */
+  isInstalled(packageName, arch, distribution, callback) {
+    const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
+
+    const wpkg = this._wpkgBin(targetRoot);
+
+    wpkg.isInstalled(packageName, arch, (err, code) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, !code);
+    });
+  }
+
+  /**
+   * Get some fields of a package.
+   *
+   * If the result is null, then the package is not available.
+   *
+   * @param {string} packageName - Package name.
+   * @param {string} arch - Architecture
    * @param {string} [distribution] - A specific distribution or null for default.
    * @param {callback} callback - Async callback.
    */
   fields(packageName, arch, distribution, callback) {
     const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
+    const wpkg = this._wpkgBin(targetRoot);
     wpkg.fields(packageName, arch, callback);
   }
 
@@ -878,11 +2174,17 @@ class Wpkg {
           ? 'sources/'
           : distribution;
 
-      repository = path.join(
-        this.getArchivesPath(xConfig.pkgDebRoot, archiveDistrib),
-        packageName,
-        version
-      );
+      repository = [
+        path.join(
+          this.getArchivesPath(xConfig.pkgDebRoot, archiveDistrib),
+          packageName,
+          version
+        ),
+        ...this._getRemoteRepositories(
+          archiveDistrib,
+          `${packageName}/${version}`
+        ),
+      ];
     }
 
     const deb = yield this._lookForPackage(
@@ -894,11 +2196,16 @@ class Wpkg {
       next
     );
 
-    if (version && deb.repository !== repository) {
+    if (version && !repository.includes(deb.repository)) {
       this._resp.log.warn(
         `package ${packageName} not found in ${distribution} for the version ${version}`
       );
-      throw 'package not found';
+      throw new PackageNotFoundError(
+        packageName,
+        version,
+        distribution,
+        repository
+      );
     }
     return deb;
   }
@@ -907,15 +2214,18 @@ class Wpkg {
    * Get fields of a package as a deep JSON.
    *
    * If the result is null, then the package is not available.
+   * All fields of the control file are returned (the multi-line fields
+   * are joined with '\n').
    *
    * @yields
    * @param {string} packageName - Package name.
    * @param {string} arch - Architecture
    * @param {string} [version] - Version
    * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {callback} next - Watt's callback.
    * @returns {*} the Debian package definition.
    */
-  *show(packageName, arch, version, distribution) {
+  *show(packageName, arch, version, distribution, next) {
     const deb = yield this.getDebLocation(
       packageName,
       arch,
@@ -923,15 +2233,55 @@ class Wpkg {
       distribution
     );
 
-    if (deb.hash) {
-      if (Wpkg.#showCache.has(deb.hash)) {
-        return Wpkg.#showCache.get(deb.hash);
+    const key = Wpkg._showKey(deb);
+
+    let cached = Wpkg.#showCache.get(key);
+    if (cached) {
+      return cached.def;
+    }
+
+    /* Only the packages with a SHA-256 are kept in the disk cache (which is
+     * addressed by the content).
+     */
+    const diskKey =
+      (this._wpkgConfig?.cache?.results ?? true) &&
+      deb.hashAlgorithm === 'sha256'
+        ? deb.hash
+        : null;
+    /* Maybe parsed by an other process */
+    cached = diskKey ? this._cache.getJSON(diskKey, 'show') : undefined;
+    if (cached) {
+      Wpkg.#showCache.set(key, {file: deb.file, def: cached});
+      return cached;
+    }
+
+    const def = readControl(deb.file);
+
+    /* Keep the fields which were always provided by the wpkg --showformat,
+     * where a missing field is the 'undefined' string.
+     */
+    for (const field of [
+      'Architecture',
+      'Build-Depends',
+      'Date',
+      'Depends',
+      'Distribution',
+      'Package',
+      'Version',
+      'X-Craft-Build-Depends',
+      'X-Craft-Make-Depends',
+      `X-Craft-Packages-${deb.distribution}`,
+      'X-Craft-Sub-Packages',
+    ]) {
+      if (def[field] === undefined) {
+        def[field] = 'undefined';
       }
     }
 
-    const wpkg = new WpkgBin(this._resp, null);
-    const def = yield wpkg.show(deb.file, deb.distribution);
-    Wpkg.#showCache.set(deb.hash, def);
+    Wpkg.#showCache.set(key, {file: deb.file, def});
+    if (diskKey) {
+      this._cache.setJSON(diskKey, 'show', def);
+    }
     return def;
   }
 
@@ -942,13 +2292,38 @@ class Wpkg {
    * @param {string} arch - Architecture.
    * @param {string} [distribution] - A specific distribution or null for default.
    * @param {boolean} [recursive] - Remove deps recursively.
+   * @param {object} [options] - Provide dryRun: true for a report only.
    * @param {callback} callback - Async callback.
    */
-  remove(packageName, arch, distribution, recursive, callback) {
+  remove(packageName, arch, distribution, recursive, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    if (options?.dryRun) {
+      let report;
+      try {
+        report = this.dryRunRemove(packageName, arch, distribution, recursive);
+      } catch (ex) {
+        callback(ex);
+        return;
+      }
+      callback(null, report);
+      return;
+    }
+
     const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
-    wpkg.remove(packageName, arch, recursive, callback);
+    const wpkg = this._wpkgBin(targetRoot);
+    this._withJournal(
+      'remove',
+      arch,
+      targetRoot,
+      {packages: [packageName], recursive: !!recursive},
+      (callback) => wpkg.remove(packageName, arch, recursive, callback),
+      callback
+    );
   }
 
   /**
@@ -957,12 +2332,32 @@ class Wpkg {
    * @yields
    * @param {string} arch - Architecture.
    * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {object} [options] - Provide dryRun: true for a report only.
+   * @param {callback} next - Watt's callback.
+   * @returns {*} the report with dryRun.
    */
-  *autoremove(arch, distribution) {
+  *autoremove(arch, distribution, options, next) {
+    /* options is watt's callback when omitted */
+    if (typeof options === 'function') {
+      next = options;
+      options = {};
+    }
+
+    if (options?.dryRun) {
+      return this.dryRunAutoremove(arch, distribution);
+    }
+
     const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
-    yield wpkg.autoremove(arch);
+    const wpkg = this._wpkgBin(targetRoot);
+    yield this._withJournal(
+      'autoremove',
+      arch,
+      targetRoot,
+      {},
+      (callback) => wpkg.autoremove(arch, callback),
+      next
+    );
   }
 
   /**
@@ -971,12 +2366,26 @@ class Wpkg {
    * @param {string} arch - Architecture.
    * @param {string} selection - auto, normal, hold, reject
    * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {Function} next - Watt's callback.
    */
-  *setSelection(packageName, arch, selection, distribution) {
+  *setSelection(packageName, arch, selection, distribution, next) {
+    /* distribution is watt's callback when omitted */
+    if (typeof distribution === 'function') {
+      next = distribution;
+      distribution = null;
+    }
+
     const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
-    yield wpkg.setSelection(packageName, arch, selection);
+    const wpkg = this._wpkgBin(targetRoot);
+    yield this._withJournal(
+      'setSelection',
+      arch,
+      targetRoot,
+      {packages: [packageName], selection},
+      (callback) => wpkg.setSelection(packageName, arch, selection, callback),
+      next
+    );
   }
 
   /**
@@ -1014,7 +2423,7 @@ class Wpkg {
     /* Create the target directory. */
     xFs.mkdir(path.join(targetRoot || this._xcraftConfig.pkgTargetRoot, arch));
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
+    const wpkg = this._wpkgBin(targetRoot);
     wpkg.createAdmindir(fileOut, arch, callback);
   }
 
@@ -1031,7 +2440,7 @@ class Wpkg {
   addHooks(hooks, arch, distribution, callback) {
     const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
+    const wpkg = this._wpkgBin(targetRoot);
     wpkg.addHooks(hooks, arch, callback);
   }
 
@@ -1080,8 +2489,15 @@ class Wpkg {
       return; /* already in the sources.list */
     }
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
-    yield wpkg.addSources(sourcePath, arch, next);
+    const wpkg = this._wpkgBin(targetRoot);
+    yield this._withJournal(
+      'addSources',
+      arch,
+      targetRoot,
+      {source: sourcePath},
+      (callback) => wpkg.addSources(sourcePath, arch, callback),
+      next
+    );
   }
 
   /**
@@ -1125,8 +2541,15 @@ class Wpkg {
       return;
     }
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
-    yield wpkg.removeSources(it, arch, next);
+    const wpkg = this._wpkgBin(targetRoot);
+    yield this._withJournal(
+      'removeSources',
+      arch,
+      targetRoot,
+      {source: sourcePath},
+      (callback) => wpkg.removeSources(it, arch, callback),
+      next
+    );
   }
 
   /**
@@ -1137,7 +2560,7 @@ class Wpkg {
    * @param {callback} callback - Async callback.
    */
   update(arch, targetRoot, callback) {
-    const wpkg = new WpkgBin(this._resp, targetRoot);
+    const wpkg = this._wpkgBin(targetRoot);
     wpkg.update(arch, callback);
   }
 
@@ -1146,11 +2569,528 @@ class Wpkg {
    *
    * @param {string} arch - Architecture.
    * @param {string} [targetRoot] -  For production root (null for devroot).
+   * @param {object} [options] - Provide dryRun: true for a report only and
+   * rollback: true for restoring the target root if wpkg fails.
    * @param {callback} callback - Async callback.
    */
-  upgrade(arch, targetRoot, callback) {
-    const wpkg = new WpkgBin(this._resp, targetRoot);
-    wpkg.upgrade(arch, callback);
+  upgrade(arch, targetRoot, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    if (options?.dryRun) {
+      this.dryRunUpgrade(arch, targetRoot, callback);
+      return;
+    }
+
+    if (!targetRoot) {
+      targetRoot = this._xcraftConfig.pkgTargetRoot;
+    }
+
+    const wpkg = this._wpkgBin(targetRoot);
+    this._withJournal(
+      'upgrade',
+      arch,
+      targetRoot,
+      {},
+      (callback) =>
+        this._withRollback(
+          arch,
+          targetRoot,
+          options,
+          (callback) => wpkg.upgrade(arch, callback),
+          callback
+        ),
+      callback
+    );
+  }
+
+  getSnapshotsPath(targetRoot, arch) {
+    return path.join(targetRoot, 'wpkg@snapshots', arch);
+  }
+
+  /**
+   * Take a snapshot of a target root.
+   *
+   * The whole architecture directory is copied (admindir and installed
+   * files), then it can be slow with large target roots. The ID is the
+   * date with a random suffix, because several snapshots can be taken in
+   * the same millisecond.
+   *
+   * @param {string} arch - Architecture.
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {string} [targetRoot] - For production root (null for devroot).
+   * @returns {string} the snapshot ID.
+   */
+  snapshot(arch, distribution, targetRoot) {
+    if (!targetRoot) {
+      targetRoot = xPacman.getTargetRoot(distribution, this._resp);
+    }
+
+    const crypto = require('crypto');
+
+    const date = new Date();
+    const suffix = crypto.randomBytes(4).toString('hex');
+    const id = `${date.toISOString().replace(/[:.]/g, '-')}-${suffix}`;
+    const snapshotPath = path.join(this.getSnapshotsPath(targetRoot, arch), id);
+
+    this._resp.log.info(`take the snapshot ${id} of ${targetRoot} (${arch})`);
+    xFs.fse.copySync(
+      path.join(targetRoot, arch),
+      path.join(snapshotPath, 'root')
+    );
+    xFs.fse.writeJSONSync(
+      path.join(snapshotPath, 'snapshot.json'),
+      {id, arch, date: date.toISOString()},
+      {spaces: 2}
+    );
+
+    return id;
+  }
+
+  /**
+   * List the snapshots of a target root.
+   *
+   * @param {string} arch - Architecture.
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {string} [targetRoot] - For production root (null for devroot).
+   * @returns {object[]} the snapshots ({id, arch, date}).
+   */
+  listSnapshots(arch, distribution, targetRoot) {
+    if (!targetRoot) {
+      targetRoot = xPacman.getTargetRoot(distribution, this._resp);
+    }
+
+    const snapshotsPath = this.getSnapshotsPath(targetRoot, arch);
+    if (!xFs.fse.existsSync(snapshotsPath)) {
+      return [];
+    }
+
+    return xFs
+      .lsdir(snapshotsPath)
+      .filter((id) =>
+        xFs.fse.existsSync(path.join(snapshotsPath, id, 'snapshot.json'))
+      )
+      .map((id) =>
+        xFs.fse.readJSONSync(path.join(snapshotsPath, id, 'snapshot.json'))
+      );
+  }
+
+  /**
+   * Restore a target root from a snapshot.
+   *
+   * The journal of the target root is kept (see history).
+   *
+   * @param {string} arch - Architecture.
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {string} snapshotId - Snapshot ID.
+   * @param {string} [targetRoot] - For production root (null for devroot).
+   */
+  rollback(arch, distribution, snapshotId, targetRoot) {
+    if (!targetRoot) {
+      targetRoot = xPacman.getTargetRoot(distribution, this._resp);
+    }
+
+    const snapshotRoot = path.join(
+      this.getSnapshotsPath(targetRoot, arch),
+      snapshotId,
+      'root'
+    );
+    if (!xFs.fse.existsSync(snapshotRoot)) {
+      throw new Error(`the snapshot ${snapshotId} does not exist`);
+    }
+
+    this._resp.log.info(
+      `rollback ${targetRoot} (${arch}) to the snapshot ${snapshotId}`
+    );
+    const root = path.join(targetRoot, arch);
+
+    /* The journal keeps the whole history, it's not restored */
+    const journalFile = journal.journalFile(root);
+    const history = xFs.fse.existsSync(journalFile)
+      ? xFs.fse.readFileSync(journalFile)
+      : null;
+
+    xFs.fse.removeSync(root);
+    xFs.fse.copySync(snapshotRoot, root);
+
+    if (history) {
+      xFs.fse.outputFileSync(journalFile, history);
+    }
+  }
+
+  /**
+   * Remove a snapshot of a target root.
+   *
+   * @param {string} arch - Architecture.
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {string} snapshotId - Snapshot ID.
+   * @param {string} [targetRoot] - For production root (null for devroot).
+   */
+  removeSnapshot(arch, distribution, snapshotId, targetRoot) {
+    if (!targetRoot) {
+      targetRoot = xPacman.getTargetRoot(distribution, this._resp);
+    }
+
+    xFs.fse.removeSync(
+      path.join(this.getSnapshotsPath(targetRoot, arch), snapshotId)
+    );
+  }
+
+  /**
+   * Run a wpkg operation with a snapshot if the rollback option is set.
+   *
+   * The target root is restored when wpkg fails or returns a non-zero code.
+   * The snapshot is removed in all cases.
+   *
+   * @param {string} arch - Architecture.
+   * @param {string} targetRoot - Target root.
+   * @param {object} [options] - Provide rollback: true for the snapshot.
+   * @param {Function} run - The operation (with a callback).
+   * @param {callback} callback - Async callback.
+   */
+  _withRollback(arch, targetRoot, options, run, callback) {
+    if (!options?.rollback) {
+      run(callback);
+      return;
+    }
+
+    let snapshotId;
+    try {
+      snapshotId = this.snapshot(arch, null, targetRoot);
+    } catch (ex) {
+      callback(ex);
+      return;
+    }
+
+    run((err, code) => {
+      try {
+        if (err || code) {
+          this._resp.log.warn(
+            `wpkg has failed (${err || `rc ${code}`}), restore the snapshot`
+          );
+          this.rollback(arch, null, snapshotId, targetRoot);
+        }
+        this.removeSnapshot(arch, null, snapshotId, targetRoot);
+      } catch (ex) {
+        this._resp.log.err(
+          `the snapshot ${snapshotId} cannot be restored: ${ex.stack || ex}`
+        );
+        if (!err) {
+          err = ex;
+        }
+      }
+      callback(err, code);
+    });
+  }
+
+  /**
+   * Run a wpkg operation and append its entry to the journal of the target
+   * root (see history).
+   *
+   * The entry provides the versions before and after the operation, the
+   * return code and the duration. A journal which cannot be written is
+   * only reported in the logs, the operation is not failed.
+   *
+   * @param {string} operation - Operation (install, remove, ...).
+   * @param {string} arch - Architecture.
+   * @param {string} targetRoot - Target root.
+   * @param {object} details - Requested packages (packages) and the other arguments.
+   * @param {Function} run - The operation (with a callback).
+   * @param {callback} callback - Async callback.
+   */
+  _withJournal(operation, arch, targetRoot, details, run, callback) {
+    if (this._wpkgConfig?.journal?.enabled === false) {
+      run(callback);
+      return;
+    }
+
+    const root = path.join(targetRoot, arch);
+    const {packages = [], ...args} = details;
+    const start = Date.now();
+
+    let before = null;
+    try {
+      before = journal.readState(root);
+    } catch (ex) {
+      this._resp.log.warn(`cannot read the state of ${root}: ${ex.message}`);
+    }
+
+    run((err, code) => {
+      try {
+        const entry = {
+          timestamp: new Date(start).toISOString(),
+          operation,
+          arch,
+          packages,
+          args,
+          changes: before
+            ? journal.diffState(before, journal.readState(root), packages)
+            : [],
+          code: code ?? err?.code ?? null,
+          duration: Date.now() - start,
+        };
+        if (err) {
+          entry.error = err.message || `${err}`;
+        }
+        journal.append(root, entry);
+      } catch (ex) {
+        this._resp.log.warn(
+          `cannot write the journal of ${root}: ${ex.stack || ex}`
+        );
+      }
+      callback(err, code);
+    });
+  }
+
+  /**
+   * Query the journal of the operations on a target root.
+   *
+   * Each entry provides the date (timestamp), the operation, the requested
+   * packages, the other arguments (args), the changes of the packages
+   * ({name, before, after} with the version, the status and the
+   * selection), the return code, the error and the duration in ms.
+   *
+   * @param {string} arch - Architecture.
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {object} [filters] - Provide operation (a name or a list),
+   * package, since and until (Date or ISO string), failed (boolean) and
+   * limit (the last entries only).
+   * @param {string} [targetRoot] - For production root (null for devroot).
+   * @returns {object[]} the entries, the oldest first.
+   */
+  history(arch, distribution, filters, targetRoot) {
+    if (!targetRoot) {
+      targetRoot = xPacman.getTargetRoot(distribution, this._resp);
+    }
+
+    return journal.read(path.join(targetRoot, arch), filters || {});
+  }
+
+  /**
+   * Report what an install would do (see resolveInstallPlan).
+   *
+   * @yields
+   * @param {string} packageName - Package name.
+   * @param {string} arch - Architecture.
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {string} [targetRoot] - For production root (null for devroot).
+   * @param {boolean} [reinstall] - Reinstall if already installed.
+   * @param {callback} next - Watt's callback.
+   * @returns {object} the report ({install, upgrade, remove, missing, conflicts}).
+   */
+  *dryRunInstall(packageName, arch, distribution, targetRoot, reinstall, next) {
+    const plan = yield this.resolveInstallPlan(
+      packageName,
+      arch,
+      distribution,
+      targetRoot
+    );
+
+    const report = Wpkg._newReport();
+    report.missing = plan.missing;
+    report.conflicts = plan.conflicts;
+
+    for (const pkg of plan.packages) {
+      const {name, version, installedVersion} = pkg;
+      let action = pkg.action;
+      if (action === 'skip' && reinstall && name === packageName) {
+        action = 'install';
+      }
+
+      switch (action) {
+        case 'install':
+          report.install.push({name, version});
+          break;
+        case 'upgrade':
+        case 'downgrade':
+          report.upgrade.push({name, from: installedVersion, to: version});
+          break;
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Report what a remove would do.
+   *
+   * Without the recursive flag, the installed packages which depend on the
+   * package are reported as conflicts because wpkg refuses the removal.
+   *
+   * @param {string} packageName - Package name.
+   * @param {string} arch - Architecture.
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @param {boolean} [recursive] - Remove deps recursively.
+   * @returns {object} the report ({install, upgrade, remove, missing, conflicts}).
+   */
+  dryRunRemove(packageName, arch, distribution, recursive) {
+    const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
+    const installed = readInstalled(path.join(targetRoot, arch));
+    const report = Wpkg._newReport();
+
+    if (!installed[packageName]) {
+      report.missing.push({name: packageName});
+      return report;
+    }
+
+    const toRemove = new Set([packageName]);
+    for (let i = 0; i < toRemove.size; ++i) {
+      const name = [...toRemove][i];
+      for (const pkg of Object.values(installed)) {
+        if (toRemove.has(pkg.name) || !Wpkg._dependsOn(pkg, name, installed)) {
+          continue;
+        }
+        if (recursive) {
+          toRemove.add(pkg.name);
+        } else {
+          report.conflicts.push({name: pkg.name, conflictsWith: name});
+        }
+      }
+    }
+
+    for (const name of toRemove) {
+      report.remove.push({name, version: installed[name].version});
+    }
+    return report;
+  }
+
+  /**
+   * Report what an autoremove would do.
+   *
+   * The packages selected as auto which are no longer required by the
+   * other (non-auto) packages are removed.
+   *
+   * @param {string} arch - Architecture.
+   * @param {string} [distribution] - A specific distribution or null for default.
+   * @returns {object} the report ({install, upgrade, remove, missing, conflicts}).
+   */
+  dryRunAutoremove(arch, distribution) {
+    const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
+    const installed = readInstalled(path.join(targetRoot, arch));
+    const report = Wpkg._newReport();
+
+    const required = new Set(
+      Object.values(installed)
+        .filter(({selection}) => selection !== 'auto')
+        .map(({name}) => name)
+    );
+    for (let i = 0; i < required.size; ++i) {
+      const pkg = installed[[...required][i]];
+      for (const group of parseDepends(pkg.control.Depends)) {
+        for (const depend of group) {
+          if (installed[depend.name]) {
+            required.add(depend.name);
+          }
+        }
+      }
+    }
+
+    for (const pkg of Object.values(installed)) {
+      if (!required.has(pkg.name)) {
+        report.remove.push({name: pkg.name, version: pkg.version});
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Report what an upgrade would do.
+   *
+   * The versions are looked in the repositories of the sources.list of the
+   * target root, the local ones (file://) and the http(s) ones (with their
+   * mirror). The other sources are skipped with a warning, like the
+   * packages on hold.
+   *
+   * @yields
+   * @param {string} arch - Architecture.
+   * @param {string} [targetRoot] -  For production root (null for devroot).
+   * @param {callback} next - Watt's callback.
+   * @returns {object} the report ({install, upgrade, remove, missing, conflicts}).
+   */
+  *dryRunUpgrade(arch, targetRoot, next) {
+    if (!targetRoot) {
+      targetRoot = this._xcraftConfig.pkgTargetRoot;
+    }
+
+    const report = Wpkg._newReport();
+    const sourcesList = path.join(
+      targetRoot,
+      arch,
+      'var/lib/wpkg/core/sources.list'
+    );
+    if (!fs.existsSync(sourcesList)) {
+      return report;
+    }
+
+    const installed = readInstalled(path.join(targetRoot, arch));
+    const available = {};
+
+    for (const source of fs.readFileSync(sourcesList, 'utf8').split('\n')) {
+      const [type, uri, distribution] = source.trim().split(/\s+/);
+      if (type !== 'wpkg' || !uri) {
+        continue;
+      }
+
+      let repositoryPath;
+      if (isRemote(uri)) {
+        repositoryPath = yield this._mirrorRepository(
+          uri.endsWith('/') ? uri : `${uri}/`
+        );
+      } else if (uri.startsWith('file://')) {
+        repositoryPath = decodeURIComponent(uri.replace(/^file:\/\//, ''));
+      } else {
+        this._resp.log.warn(`skip the unsupported source ${uri}`);
+        continue;
+      }
+      const filters = {arch: new RegExp('(' + arch + '|all)')};
+      if (distribution) {
+        filters.distrib = distribution.replace(/\/$/, '');
+      }
+
+      const list = yield this.listIndexPackages(
+        [repositoryPath],
+        arch,
+        filters,
+        {greater: true}
+      );
+      for (const deb of Object.values(list[repositoryPath] || {})) {
+        const current = available[deb.name];
+        if (!current || (yield debversion(deb.version, current.version)) > 0) {
+          available[deb.name] = deb;
+        }
+      }
+    }
+
+    for (const pkg of Object.values(installed)) {
+      const deb = available[pkg.name];
+      if (!deb || pkg.selection === 'hold') {
+        continue;
+      }
+      if ((yield debversion(deb.version, pkg.version)) > 0) {
+        report.upgrade.push({
+          name: pkg.name,
+          from: pkg.version,
+          to: deb.version,
+        });
+      }
+    }
+
+    return report;
+  }
+
+  static _newReport() {
+    return {install: [], upgrade: [], remove: [], missing: [], conflicts: []};
+  }
+
+  /* True if the package depends on name without an installed alternative */
+  static _dependsOn(pkg, name, installed) {
+    return parseDepends(pkg.control.Depends).some(
+      (group) =>
+        group.some((depend) => depend.name === name) &&
+        !group.some((depend) => depend.name !== name && installed[depend.name])
+    );
   }
 
   /**
@@ -1192,17 +3132,28 @@ class Wpkg {
           xFs.mkdir(dest);
           xFs.cp(deb.file, path.join(dest, path.basename(deb.file)));
         } catch (ex) {
-          callback(ex.stack);
+          callback(ex);
           return;
         }
 
         try {
-          const md5sum = `${deb.file}.md5sum`;
-          xFs.cp(md5sum, path.join(dest, path.basename(md5sum)));
+          for (const sidecar of sidecars) {
+            const file = `${deb.file}${sidecar}`;
+            if (fs.existsSync(file)) {
+              xFs.cp(file, path.join(dest, path.basename(file)));
+            }
+          }
         } catch (ex) {
           /* ignore */
         }
 
+        try {
+          this._signPackage(path.join(dest, path.basename(deb.file)));
+        } catch (ex) {
+          callback(ex);
+          return;
+        }
+
         /* We create or update the index with our new package. */
         this._syncRepository(outputRepository, callback);
       }
@@ -1243,17 +3194,20 @@ class Wpkg {
           return;
         }
 
+        this.invalidateCache(deb.file);
         try {
           xFs.rm(deb.file);
         } catch (ex) {
-          callback(ex.stack);
+          callback(ex);
           return;
         }
 
-        try {
-          xFs.rm(`${deb.file}.md5sum`);
-        } catch (ex) {
-          /* ignore errors */
+        for (const sidecar of sidecars) {
+          try {
+            xFs.rm(`${deb.file}${sidecar}`);
+          } catch (ex) {
+            /* ignore errors */
+          }
         }
 
         if (updateIndex) {
@@ -1335,7 +3289,7 @@ class Wpkg {
   *graph(packageNames, arch, distribution, next) {
     const targetRoot = xPacman.getTargetRoot(distribution, this._resp);
 
-    const wpkg = new WpkgBin(this._resp, targetRoot);
+    const wpkg = this._wpkgBin(targetRoot);
 
     const debs = [];
     for (const packageName of packageNames) {
@@ -1361,10 +3315,14 @@ class Wpkg {
     yield wpkg.graph(debs, arch);
   }
 
-  *isV1Greater(v1, v2) {
-    const wpkg = new WpkgBin(this._resp);
+  *isV1Greater(v1, v2, next) {
+    const wpkg = this._wpkgBin();
     return yield wpkg.isV1Greater(v1, v2);
   }
 }
 
-module.exports = (resp) => new Wpkg(resp);
+module.exports = (resp, options) => new Wpkg(resp, options);
+module.exports.promises = (resp, options) => promises(new Wpkg(resp, options));
+module.exports.Wpkg = Wpkg;
+module.exports.parseDepends = parseDepends;
+module.exports.errors = errors;